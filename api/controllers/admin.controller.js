@@ -0,0 +1,304 @@
+import Job, { JOB_STATUSES } from "../models/job.models.js";
+import Listing from "../models/listing.models.js";
+import Message from "../models/message.models.js";
+import Report from "../models/report.models.js";
+import User, { hasRole } from "../models/user.models.js";
+import { throwError } from "../utils/error.js";
+import { escapeRegex } from "../utils/helper.js";
+import { retryJob } from "../jobs/queue.js";
+import {
+  hideListing,
+  notifyOwnerOfModeration,
+  unhideListing,
+} from "../utils/moderation.js";
+import {
+  paginate,
+  paginateAggregate,
+  parsePagination,
+} from "../utils/pagination.js";
+import { sendSuccess } from "../utils/response.js";
+import { disconnectUser } from "../utils/socket.js";
+
+const USER_FIELDS = "-password";
+
+// Staff can only act on accounts below their own role
+const loadManagedUser = async (req) => {
+  if (req.user.id === req.params.id)
+    throw throwError(403, "You cannot change your own account here");
+
+  const user = await User.findById(req.params.id);
+  if (!user) throw throwError(404, "User not found");
+  if (hasRole(user.role, req.user.role))
+    throw throwError(403, "You cannot manage a user with the same role");
+  return user;
+};
+
+//====== List and search users ======//
+export const listUsers = async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.q) {
+      const pattern = new RegExp(escapeRegex(String(req.query.q)), "i");
+      filter.$or = [
+        { username: pattern },
+        { email: pattern },
+        { firstName: pattern },
+        { lastName: pattern },
+      ];
+    }
+    if (req.query.role) filter.role = String(req.query.role);
+    if (req.query.status) filter.accountStatus = String(req.query.status);
+
+    const users = await paginate(User, filter, {
+      sort: { createdAt: -1, _id: -1 },
+      pagination: parsePagination(req.query),
+      projection: USER_FIELDS,
+    });
+    sendSuccess(res, 200, users);
+  } catch (error) {
+    next(error);
+  }
+};
+
+//====== Suspend / ban / reinstate ======//
+export const setUserStatus = async (req, res, next) => {
+  const { status, reason, until } = req.body;
+  // banning is permanent, so only admins can do it
+  if (status === "banned" && !hasRole(req.user.role, "admin"))
+    return next(throwError(403, "Only admins can ban accounts"));
+
+  try {
+    const user = await loadManagedUser(req);
+    user.accountStatus = status;
+    user.statusReason = status === "active" ? undefined : reason;
+    user.suspendedUntil = status === "suspended" ? until : undefined;
+    await user.save();
+    // HTTP requests are checked every time, open sockets are closed
+    if (user.isBlocked()) disconnectUser(user._id);
+
+    const { password, ...rest } = user._doc;
+    sendSuccess(res, 200, rest, `Account is now ${status}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+//====== Change a user's role ======//
+export const setUserRole = async (req, res, next) => {
+  try {
+    const user = await loadManagedUser(req);
+    user.role = req.body.role;
+    await user.save();
+
+    const { password, ...rest } = user._doc;
+    sendSuccess(res, 200, rest, `Role changed to ${user.role}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+//====== Force remove any listing ======//
+export const removePost = async (req, res, next) => {
+  const { reason } = req.body;
+  try {
+    const post = await Listing.findById(req.params.id);
+    if (!post) return next(throwError(404, "Post not found"));
+
+    await Report.resolveForListing(post._id, {
+      resolvedBy: req.user.id,
+      resolution: `Removed: ${reason}`,
+    });
+    await Listing.removeListing(post._id);
+    await notifyOwnerOfModeration(post, "removed", reason, req.user.id);
+
+    sendSuccess(res, 200, null, "Post removed successfully");
+  } catch (error) {
+    next(error);
+  }
+};
+
+//====== Hide / restore a listing ======//
+export const hidePost = async (req, res, next) => {
+  try {
+    const post = await Listing.findById(req.params.id);
+    if (!post) return next(throwError(404, "Post not found"));
+
+    await hideListing(post, { by: req.user.id, reason: req.body.reason });
+    sendSuccess(res, 200, post, "Post hidden successfully");
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const unhidePost = async (req, res, next) => {
+  try {
+    const post = await Listing.findById(req.params.id);
+    if (!post) return next(throwError(404, "Post not found"));
+    if (!post.hiddenByModeration)
+      return next(throwError(409, "Post is not hidden"));
+
+    await unhideListing(post, { by: req.user.id });
+    sendSuccess(res, 200, post, "Post restored successfully");
+  } catch (error) {
+    next(error);
+  }
+};
+
+//====== Open reports grouped by listing ======//
+export const getReportQueue = async (req, res, next) => {
+  try {
+    const queue = await paginateAggregate(
+      Report,
+      [
+        { $match: { status: "open" } },
+        { $sort: { createdAt: 1 } },
+        {
+          $group: {
+            _id: "$listing",
+            count: { $sum: 1 },
+            reasons: { $addToSet: "$reason" },
+            firstReportedAt: { $first: "$createdAt" },
+            lastReportedAt: { $last: "$createdAt" },
+            reports: {
+              $push: {
+                _id: "$_id",
+                reporter: "$reporter",
+                reason: "$reason",
+                comment: "$comment",
+                createdAt: "$createdAt",
+              },
+            },
+          },
+        },
+        {
+          $lookup: {
+            from: Listing.collection.name,
+            localField: "_id",
+            foreignField: "_id",
+            as: "listing",
+          },
+        },
+        { $unwind: "$listing" },
+      ],
+      {
+        // most reported first, oldest first on ties
+        sort: { count: -1, firstReportedAt: 1, _id: 1 },
+        pagination: parsePagination(req.query),
+      }
+    );
+    sendSuccess(res, 200, queue);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const dismissReport = async (req, res, next) => {
+  try {
+    const report = await Report.findOneAndUpdate(
+      { _id: req.params.reportId, status: "open" },
+      {
+        $set: {
+          status: "dismissed",
+          resolvedBy: req.user.id,
+          resolvedAt: new Date(),
+          resolution: req.body.reason,
+        },
+      },
+      { new: true }
+    );
+    if (!report) return next(throwError(404, "Open report not found"));
+    sendSuccess(res, 200, report, "Report dismissed");
+  } catch (error) {
+    next(error);
+  }
+};
+
+//====== Platform counts ======//
+export const getStats = async (req, res, next) => {
+  try {
+    const [users, usersByStatus, posts, postsByStatus, messages, reports] =
+      await Promise.all([
+        User.estimatedDocumentCount(),
+        User.aggregate([
+          { $group: { _id: "$accountStatus", count: { $sum: 1 } } },
+        ]),
+        Listing.estimatedDocumentCount(),
+        Listing.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+        Message.estimatedDocumentCount(),
+        Report.countDocuments({ status: "open" }),
+      ]);
+
+    // documents from before the field existed are counted under the default
+    const byKey = (groups, fallback) =>
+      groups.reduce((counts, { _id, count }) => {
+        const key = _id || fallback;
+        counts[key] = (counts[key] || 0) + count;
+        return counts;
+      }, {});
+
+    sendSuccess(res, 200, {
+      users: { total: users, byStatus: byKey(usersByStatus, "active") },
+      posts: { total: posts, byStatus: byKey(postsByStatus, "published") },
+      messages: { total: messages },
+      reports: { open: reports },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+//===== Background jobs =====//
+// ?status=<status>&name=<job name>, newest first, with counts per status
+export const listJobs = async (req, res, next) => {
+  const { status, name } = req.query;
+  if (status && !JOB_STATUSES.includes(status))
+    return next(
+      throwError(400, `status must be one of ${JOB_STATUSES.join(", ")}`)
+    );
+
+  const filter = {};
+  if (status) filter.status = status;
+  if (name) filter.name = name;
+
+  try {
+    const [jobs, counts] = await Promise.all([
+      paginate(Job, filter, {
+        sort: { createdAt: -1, _id: -1 },
+        pagination: parsePagination(req.query),
+      }),
+      Job.aggregate([
+        ...(name ? [{ $match: { name } }] : []),
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const byStatus = Object.fromEntries(JOB_STATUSES.map((key) => [key, 0]));
+    counts.forEach(({ _id, count }) => {
+      byStatus[_id] = count;
+    });
+    sendSuccess(res, 200, { ...jobs, byStatus });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getJob = async (req, res, next) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) return next(throwError(404, "Job not found"));
+    sendSuccess(res, 200, job);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Give a dead job a fresh set of attempts
+export const retryDeadJob = async (req, res, next) => {
+  try {
+    const job = await retryJob(req.params.id);
+    if (!job) return next(throwError(404, "Dead job not found"));
+    sendSuccess(res, 200, job, "Job queued for retry");
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,20 +1,50 @@
 import bcrypt from "bcrypt";
 import User from "../models/user.models.js";
 import { throwError } from "../utils/error.js";
-import jwt from "jsonwebtoken";
-import { passwordGenarator, usernameGenarator } from "../utils/helper.js";
+import { sendSuccess } from "../utils/response.js";
+import { queueEmail } from "../utils/email.js";
+import { verifyClerkSession } from "../utils/clerk.js";
+import {
+  clearAuthCookies,
+  endSession,
+  readRefreshToken,
+  revokeUserSessions,
+  rotateSession,
+  startSession,
+} from "../utils/sessions.js";
+import Session from "../models/session.models.js";
+import { usernameGenarator } from "../utils/helper.js";
+import {
+  consumeAuthToken,
+  issueAuthToken,
+  readAuthToken,
+} from "../utils/authTokens.js";
+import { checkPasswordPolicy } from "../utils/passwordPolicy.js";
+import { getOidcProvider } from "../oidc/index.js";
+import { claimUnverifiedAccount } from "../utils/accountLinking.js";
+import {
+  assertNotLockedOut,
+  clearFailedLogins,
+  recordFailedLogin,
+} from "../utils/loginLockout.js";
 
 //======handle singup route ===========//
 export const singup = async (req, res, next) => {
   const { username, email, password } = req.body;
-  const hashedPassword = bcrypt.hashSync(password, 10);
-  const newUser = new User({ username, email, password: hashedPassword });
+  if (!password) return next(throwError(400, "Password is required"));
   try {
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const newUser = new User({ username, email, password: hashedPassword });
     await newUser.save();
-    res.status(201).json({
-      success: true,
-      message: "User created successfully",
+    queueEmail(newUser, "verify_email", {
+      token: await issueAuthToken(newUser, "email_verification"),
     });
+    sendSuccess(
+      res,
+      201,
+      null,
+      "User created successfully, check your email to verify your address"
+    );
   } catch (error) {
     next(error);
   }
@@ -23,78 +53,298 @@ export const singup = async (req, res, next) => {
 // ========sing in route handling here =====//
 export const signin = async (req, res, next) => {
   const { email, userPassword } = req.body;
+  const attempt = { email, ip: req.ip };
   try {
-    const validUser = await User.findOne({ email });
-    if (!validUser) return next(throwError(404, "Worng Credentials!"));
-    const isValidPassword = bcrypt.compareSync(
-      userPassword,
-      validUser.password
-    );
-    if (!isValidPassword) return next(throwError(401, "Worng Credentials!"));
+    await assertNotLockedOut(attempt);
+
+    const validUser = await User.findOne({ email }).select("+password");
+    // Clerk-only accounts have no password to sign in with
+    const isValidPassword =
+      Boolean(validUser?.password) &&
+      (await bcrypt.compare(userPassword, validUser.password));
+    if (!isValidPassword) {
+      await recordFailedLogin(attempt);
+      return next(throwError(401, "Wrong Credentials!"));
+    }
+    await clearFailedLogins(attempt);
 
+    if (validUser.isBlocked())
+      return next(throwError(403, `Account ${validUser.accountStatus}`));
     const { password, ...rest } = validUser._doc;
-    const token = jwt.sign({ id: validUser._id }, process.env.JWT_SECRET, {
-      expiresIn: "720h",
-    });
-    res
-      .cookie("access_token", token, { httpOnly: true, secure: true })
-      .status(200)
-      .json(rest);
+    await startSession(req, res, validUser);
+    sendSuccess(res, 200, rest);
   } catch (error) {
     console.log(error);
     next(error);
   }
 };
 
+//=====Sign in with an OpenID Connect ID token ======//
+// The token is verified with the provider, nothing in the body is trusted.
+// Accounts are found by the provider's subject, or linked by email when
+// the provider says the email is verified. Linking takes over an account
+// whose own email was never verified (see claimUnverifiedAccount).
+const signInWithOidc = async (providerName, req, res, next) => {
+  try {
+    const provider = getOidcProvider(providerName);
+    if (!provider) return next(throwError(404, "Unknown sign-in provider"));
+
+    const claims = await provider.verifyIdToken(req.body.idToken);
+
+    let user = await User.findByIdentity(provider.name, claims.sub);
+    if (!user) {
+      if (!claims.email || claims.email_verified !== true)
+        return next(throwError(401, "Email address is not verified"));
+      const email = claims.email.toLowerCase();
+      const identity = { provider: provider.name, subject: claims.sub };
+
+      user = await User.findOne({ email });
+      //====IF user exist in DB, link the identity====//
+      if (user) {
+        if (user.identities?.some((item) => item.provider === provider.name))
+          return next(
+            throwError(
+              409,
+              `Account is linked to another ${provider.name} user`
+            )
+          );
+        await claimUnverifiedAccount(user);
+        user.identities = [...(user.identities || []), identity];
+        await user.save();
+      }
+      //====IF user not exist in DB====//
+      else {
+        const name = claims.name || email.split("@")[0];
+        user = await User.create({
+          username: usernameGenarator(name),
+          email,
+          firstName: claims.given_name,
+          lastName: claims.family_name,
+          identities: [identity],
+          emailVerifiedAt: new Date(),
+          ...(claims.picture && { avatar: claims.picture }),
+        });
+        queueEmail(user, "welcome");
+      }
+    }
+
+    if (user.isBlocked())
+      return next(throwError(403, `Account ${user.accountStatus}`));
+    await startSession(req, res, user);
+    const { password, ...rest } = user._doc;
+    sendSuccess(res, 200, rest);
+  } catch (error) {
+    //======Handling Error Here =====//
+    next(error);
+  }
+};
+
 //=====Handle Google Singin Here ======//
-export const googleSignIn = async (req, res, next) => {
-  const { email, name, photo } = req.body;
+export const googleSignIn = (req, res, next) =>
+  signInWithOidc("google", req, res, next);
+
+// POST /api/auth/oidc/:provider for any configured provider
+export const oidcSignIn = (req, res, next) =>
+  signInWithOidc(req.params.provider, req, res, next);
+
+//=====Link the signed in account to a Clerk identity=====//
+// Migration path for email/password accounts: signed in with the legacy
+// cookie, the client sends a Clerk session token of the same person
+export const linkClerk = async (req, res, next) => {
   try {
-    const user = await User.findOne({ email });
+    const clerkId = await verifyClerkSession(req.body.clerkToken);
+    if (req.user.clerkId === clerkId)
+      return sendSuccess(res, 200, null, "Account already linked");
+    if (req.user.clerkId)
+      return next(throwError(409, "Account is linked to another Clerk user"));
+    if (await User.exists({ clerkId }))
+      return next(throwError(409, "Clerk user is linked to another account"));
 
-    //====IF user exist in DB====//
-    if (user) {
-      const tooken = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-        expiresIn: "720h",
-      });
+    req.user.clerkId = clerkId;
+    await req.user.save();
+    sendSuccess(res, 200, null, "Account linked to Clerk");
+  } catch (error) {
+    next(error);
+  }
+};
+
+//=====Refresh: rotate the refresh token, issue a new access token=====//
+export const refresh = async (req, res, next) => {
+  try {
+    await rotateSession(req, res, readRefreshToken(req));
+    sendSuccess(res, 200, null, "Session refreshed");
+  } catch (error) {
+    // on a 409 the other request already set fresh cookies, keep them
+    if (error.statusCode !== 409) clearAuthCookies(res);
+    next(error);
+  }
+};
+
+//=====Active sessions (devices) of the signed in user=====//
+export const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("userAgent ip createdAt lastUsedAt expiresAt")
+      .sort({ lastUsedAt: -1 });
+
+    sendSuccess(
+      res,
+      200,
+      sessions.map((session) => ({
+        ...session.toObject(),
+        current: String(session._id) === req.sessionId,
+      }))
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+//=====Revoke one session, or every session with :id = all=====//
+export const revokeSession = async (req, res, next) => {
+  const revokeAll = req.params.id === "all";
+  try {
+    const { modifiedCount } = await revokeUserSessions(
+      req.user.id,
+      "revoked",
+      revokeAll ? {} : { _id: req.params.id }
+    );
+    if (!revokeAll && !modifiedCount)
+      return next(throwError(404, "Session not found"));
+
+    if (revokeAll || req.params.id === req.sessionId) clearAuthCookies(res);
+    sendSuccess(res, 200, { revoked: modifiedCount }, "Session revoked");
+  } catch (error) {
+    next(error);
+  }
+};
+
+//=====Email verification=====//
+export const verifyEmail = async (req, res, next) => {
+  try {
+    const userId = await consumeAuthToken(req.body.token, "email_verification");
+    const user = await User.findById(userId);
+    if (!user) return next(throwError(404, "User not found"));
 
-      const { password, ...rest } = user._doc;
-      res
-        .cookie("access_token", tooken, { httpOnly: true, secure: true })
-        .status(200)
-        .json(rest);
+    if (!user.emailVerifiedAt) {
+      user.emailVerifiedAt = new Date();
+      await user.save();
+      queueEmail(user, "welcome");
     }
-    //====IF user not exist in DB====//
-    else {
-      const hashedPassword = bcrypt.hashSync(passwordGenarator(), 10);
-      const newUser = new User({
-        name,
-        username: usernameGenarator(name),
-        email,
-        password: hashedPassword,
-        avatar: photo,
-      });
-      const user = await newUser.save();
-      const tooken = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-        expiresIn: "720h",
+    sendSuccess(res, 200, null, "Email address verified");
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const resendVerification = async (req, res, next) => {
+  try {
+    if (req.user.isEmailVerified())
+      return next(throwError(409, "Email address is already verified"));
+    queueEmail(req.user, "verify_email", {
+      token: await issueAuthToken(req.user, "email_verification"),
+    });
+    sendSuccess(res, 200, null, "Verification email sent");
+  } catch (error) {
+    next(error);
+  }
+};
+
+//=====Forgot / reset password=====//
+// Same answer whether or not the email exists, so it can not be used to
+// find out who has an account
+export const forgotPassword = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    if (user && !user.isBlocked())
+      queueEmail(user, "password_reset", {
+        token: await issueAuthToken(user, "password_reset"),
       });
-      const { pass: password, ...rest } = user._doc;
-      res
-        .cookie("access_token", tooken, { httpOnly: true, secure: true })
-        .status(200)
-        .json(rest);
-    }
+    sendSuccess(
+      res,
+      200,
+      null,
+      "If that email has an account, a reset link is on its way"
+    );
   } catch (error) {
-    //======Handling Error Here =====//
-    next(throwError(error));
+    next(error);
+  }
+};
+
+export const resetPassword = async (req, res, next) => {
+  const { token, password } = req.body;
+  try {
+    // same policy as signup, the link stays valid while the password fails it
+    const user = await User.findById(
+      await readAuthToken(token, "password_reset")
+    );
+    if (!user) return next(throwError(404, "User not found"));
+    const errors = checkPasswordPolicy(password, {
+      email: user.email,
+      username: user.username,
+    });
+    if (errors.length)
+      return next(throwError(400, "Invalid request data", errors));
+
+    await consumeAuthToken(token, "password_reset");
+
+    user.password = await bcrypt.hash(password, 10);
+    // the link was opened from the inbox, so the address is confirmed too
+    user.emailVerifiedAt = user.emailVerifiedAt || new Date();
+    await user.save();
+
+    // whoever knew the old password is signed out everywhere
+    await revokeUserSessions(user._id, "password_reset");
+    clearAuthCookies(res);
+    sendSuccess(res, 200, null, "Password updated, sign in again");
+  } catch (error) {
+    next(error);
+  }
+};
+
+//=====Change password, needs the current one=====//
+export const changePassword = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select("+password");
+    if (!user?.password)
+      return next(throwError(400, "Your account has no password to change"));
+
+    const isValidPassword = await bcrypt.compare(
+      req.body.currentPassword,
+      user.password
+    );
+    if (!isValidPassword)
+      return next(
+        throwError(400, "Current password is incorrect", [
+          { field: "currentPassword", message: "is incorrect" },
+        ])
+      );
+
+    user.password = await bcrypt.hash(req.body.newPassword, 10);
+    await user.save();
+
+    // keep this device signed in, end every other session
+    await revokeUserSessions(
+      user._id,
+      "password_change",
+      req.sessionId ? { _id: { $ne: req.sessionId } } : {}
+    );
+    sendSuccess(res, 200, null, "Password changed successfully");
+  } catch (error) {
+    next(error);
   }
 };
 
 //=====handle signout=====//
 export const signOut = async (req, res, next) => {
   try {
-    res.clearCookie("access_token");
-    res.status(200).json("User Deleted Successfully!");
+    await endSession(readRefreshToken(req));
+    clearAuthCookies(res);
+    sendSuccess(res, 200, null, "Signed out successfully");
   } catch (error) {
     next(error);
   }
@@ -1,16 +1,103 @@
+import mongoose from "mongoose";
 import Conversation from "../models/conversation.models.js";
+import Message from "../models/message.models.js";
+import Listing from "../models/listing.models.js";
+import User from "../models/user.models.js";
+import { isOnline } from "../sockets/presence.socket.js";
 import { throwError } from "../utils/error.js";
+import { sendSuccess } from "../utils/response.js";
 
 // Get Conversation controller
 export const getConversation = async (req, res, next) => {
   if (req.user.id !== req.params.id)
-    return next(throwError(401, "user is not valid"));
+    return next(throwError(403, "user is not valid"));
 
   try {
-    const userConversation = await Conversation.find({
+    const filter = {
       $or: [{ creatorId: req.params.id }, { participantId: req.params.id }],
+    };
+    // ?listing=<postId> lists the inquiries about one property
+    if (req.query.listing) {
+      if (!mongoose.isValidObjectId(req.query.listing))
+        return next(throwError(400, "Invalid listing id"));
+      filter.listing = req.query.listing;
+    }
+
+    const userConversation = await Conversation.find(filter).populate(
+      "listing",
+      "title address imgUrl price discountPrice offer type status"
+    );
+
+    // partner's online state and last seen time
+    const partnerIds = userConversation
+      .map((conversation) => conversation.partnerOf(req.params.id))
+      .filter((partnerId) => mongoose.isValidObjectId(partnerId));
+    const partners = await User.find({ _id: { $in: partnerIds } }).select(
+      "lastSeen"
+    );
+    const lastSeen = new Map(
+      partners.map((partner) => [String(partner._id), partner.lastSeen])
+    );
+
+    // last message and unread count per conversation
+    const activity = await Message.aggregate([
+      {
+        $match: {
+          conversation: {
+            $in: userConversation.map((conversation) =>
+              String(conversation._id)
+            ),
+          },
+          deletedFor: { $ne: req.params.id },
+        },
+      },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: "$conversation",
+          lastMessage: { $first: "$$ROOT" },
+          unreadCount: {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $eq: ["$receiver", req.params.id] },
+                    { $not: ["$readAt"] },
+                  ],
+                },
+                1,
+                0,
+              ],
+            },
+          },
+        },
+      },
+    ]);
+    const activityById = new Map(activity.map((item) => [item._id, item]));
+
+    const conversations = userConversation.map((conversation) => {
+      const partnerId = conversation.partnerOf(req.params.id);
+      const { lastMessage = null, unreadCount = 0 } =
+        activityById.get(String(conversation._id)) || {};
+      return {
+        ...conversation.toObject(),
+        lastMessage,
+        unreadCount,
+        partnerPresence: {
+          online: isOnline(partnerId),
+          lastSeen: lastSeen.get(String(partnerId)) || null,
+        },
+      };
     });
-    res.status(200).json(userConversation);
+
+    // most recent activity first
+    const activityAt = (conversation) =>
+      new Date(
+        conversation.lastMessage?.createdAt || conversation.updatedAt
+      ).getTime();
+    conversations.sort((a, b) => activityAt(b) - activityAt(a));
+
+    sendSuccess(res, 200, conversations);
   } catch (error) {
     next(error);
   }
@@ -20,36 +107,37 @@ export const getConversation = async (req, res, next) => {
 
 export const createConversation = async (req, res, next) => {
   if (req.user.id != req.body.creatorId)
-    return next(throwError(401, "user is not valid"));
-
-  if (req.body.creatorId === req.body.perticipantId)
-    return next(throwError(402, "request error"));
+    return next(throwError(403, "user is not valid"));
 
   try {
+    // an inquiry thread has to be about a listing one of the two owns
+    if (req.body.listing) {
+      const listing = await Listing.findById(req.body.listing);
+      if (
+        !listing ||
+        ![req.body.creatorId, req.body.participantId].includes(listing.userRef)
+      )
+        return next(throwError(400, "Invalid listing for this conversation"));
+    }
+
     // check is new conversation or not
-    const conversations = await Conversation.find({
-      $or: [
-        {
-          $and: [
-            { creatorId: req.body.creatorId },
-            { participantId: req.body.participantId },
-          ],
-        },
-        {
-          $and: [
-            { creatorId: req.body.participantId },
-            { participantId: req.body.creatorId },
-          ],
-        },
-      ],
-    });
+    const existing = await Conversation.findBetween(
+      req.body.creatorId,
+      req.body.participantId,
+      req.body.listing
+    );
 
-    if (conversations.length === 0) {
+    if (!existing) {
       const newConversation = Conversation(req.body);
       await newConversation.save();
-      res.status(201).json("conversation created succesfully");
+      sendSuccess(
+        res,
+        201,
+        newConversation,
+        "Conversation created successfully"
+      );
     } else {
-      res.status(403).json("conversation already exist");
+      next(throwError(409, "Conversation already exists"));
     }
   } catch (error) {
     next(error);
@@ -61,8 +149,13 @@ export const createConversation = async (req, res, next) => {
 export const deleteConversation = async (req, res, next) => {
   const chatId = req.params.chatId;
   try {
-    await Conversation.findByIdAndDelete(chatId);
-    res.status(204).json("conversation deleted successfully");
+    // only members can delete a thread, its messages go with it
+    const conversation = await Conversation.findForMember(chatId, req.user.id);
+    if (!conversation) return next(throwError(404, "Conversation not found"));
+
+    await Conversation.deleteOne({ _id: conversation._id });
+    await Message.deleteMany({ conversation: String(conversation._id) });
+    sendSuccess(res, 200, null, "Conversation deleted successfully");
   } catch (error) {
     next(error);
   }
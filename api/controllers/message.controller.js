@@ -1,32 +1,218 @@
+import Conversation from "../models/conversation.models.js";
 import Message from "../models/message.models.js";
 import { throwError } from "../utils/error.js";
+import { sendSuccess } from "../utils/response.js";
+import { parsePagination } from "../utils/pagination.js";
+import {
+  MESSAGE_EDIT_WINDOW_MS,
+  broadcastMessageEvent,
+  createChatMessage,
+} from "../utils/messaging.js";
+import { markNotificationsRead } from "../utils/notify.js";
+import {
+  chatRoom,
+  emitToChat,
+  emitToRooms,
+  emitToUser,
+  userRoom,
+} from "../utils/socket.js";
 
+//======= Conversation history, newest page first =======//
+// GET /api/message?chatId=<id>&before=<messageId>&limit=<n>
 export const getMessage = async (req, res, next) => {
-  const sender = req.query.sender || "";
-  const receiver = req.query.receiver || "";
+  try {
+    const conversation = await Conversation.findForMember(
+      req.query.chatId,
+      req.user.id
+    );
+    if (!conversation) return next(throwError(404, "Conversation not found"));
 
-  if (req.user.id != sender) return next(throwError(401, "Token unauthorized"));
+    const { pageSize } = parsePagination(req.query, { defaultPageSize: 30 });
+    const visible = {
+      conversation: String(conversation._id),
+      deletedFor: { $ne: req.user.id },
+    };
 
-  try {
-    const messages = await Message.find({
-      $or: [
-        { $and: [{ sender }, { receiver }] },
-        { $and: [{ sender: receiver }, { receiver: sender }] },
-      ],
+    const filter = { ...visible };
+    if (req.query.before) {
+      const before = await Message.findOne({
+        _id: req.query.before,
+        conversation: String(conversation._id),
+      });
+      if (!before) return next(throwError(400, "Invalid before message id"));
+      filter.$or = [
+        { createdAt: { $lt: before.createdAt } },
+        { createdAt: before.createdAt, _id: { $lt: before._id } },
+      ];
+    }
+
+    const [total, rows] = await Promise.all([
+      Message.countDocuments(visible),
+      Message.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(pageSize + 1),
+    ]);
+
+    const hasMore = rows.length > pageSize;
+    // oldest first so the page can be prepended to the chat as is
+    const items = rows.slice(0, pageSize).reverse();
+
+    sendSuccess(res, 200, {
+      items,
+      total,
+      page: null,
+      pageSize,
+      hasMore,
+      nextBefore: hasMore ? String(items[0]._id) : null,
     });
-    res.status(200).json(messages);
   } catch (error) {
     next(error);
   }
 };
 
 export const postMessage = async (req, res, next) => {
-  if (req.user.id != req.body.sender)
-    return next(throwError(401, "Token unauthorized"));
   try {
-    const newMessage = new Message(req.body);
-    await newMessage.save();
-    res.status(201).json("Message sent seccessfully");
+    const conversation = await Conversation.findForMember(
+      req.body.chatId,
+      req.user.id
+    );
+    if (!conversation) return next(throwError(404, "Conversation not found"));
+
+    const newMessage = await createChatMessage(
+      conversation,
+      req.user.id,
+      req.body
+    );
+    sendSuccess(res, 201, newMessage, "Message sent successfully");
+  } catch (error) {
+    next(error);
+  }
+};
+
+//======= Edit a message within the edit window =======//
+export const editMessage = async (req, res, next) => {
+  try {
+    const message = await Message.findById(req.params.id);
+    if (!message || message.deletedAt)
+      return next(throwError(404, "Message not found"));
+    if (message.sender != req.user.id)
+      return next(throwError(403, "You can only edit your own messages"));
+    if (Date.now() - message.createdAt.getTime() > MESSAGE_EDIT_WINDOW_MS)
+      return next(throwError(409, "This message can no longer be edited"));
+
+    message.message = req.body.message;
+    message.editedAt = new Date();
+    await message.save();
+
+    const conversation = await Conversation.findById(message.conversation);
+    if (conversation)
+      broadcastMessageEvent(conversation, "message_updated", message);
+    sendSuccess(res, 200, message, "Message updated successfully");
+  } catch (error) {
+    next(error);
+  }
+};
+
+//======= Delete for me (?scope=me) or for everyone (?scope=everyone) =======//
+export const deleteMessage = async (req, res, next) => {
+  const scope = req.query.scope || "me";
+  if (!["me", "everyone"].includes(scope))
+    return next(throwError(400, "scope must be me or everyone"));
+
+  try {
+    const message = await Message.findById(req.params.id);
+    if (!message) return next(throwError(404, "Message not found"));
+    if (message.sender != req.user.id && message.receiver != req.user.id)
+      return next(throwError(404, "Message not found"));
+
+    if (scope === "me") {
+      await Message.updateOne(
+        { _id: message._id },
+        { $addToSet: { deletedFor: req.user.id } }
+      );
+      // only the user's own tabs need to drop it
+      emitToUser(req.user.id, "message_deleted", {
+        _id: message._id,
+        chatId: message.conversation,
+        scope,
+      });
+      return sendSuccess(res, 200, null, "Message deleted for you");
+    }
+
+    if (message.sender != req.user.id)
+      return next(throwError(403, "You can only delete your own messages"));
+
+    message.message = "";
+    message.attachment = undefined;
+    message.attachmentUpload = undefined;
+    message.deletedAt = new Date();
+    // the content is gone, so message is no longer a required field here
+    await message.save({ validateBeforeSave: false });
+
+    const payload = { _id: message._id, chatId: message.conversation, scope };
+    const conversation = await Conversation.findById(message.conversation);
+    if (conversation)
+      broadcastMessageEvent(conversation, "message_deleted", payload);
+    else emitToChat(message.conversation, "message_deleted", payload);
+
+    sendSuccess(res, 200, message, "Message deleted for everyone");
+  } catch (error) {
+    next(error);
+  }
+};
+
+//======= Mark everything up to a message as read =======//
+export const markRead = async (req, res, next) => {
+  const { chatId, messageId } = req.body;
+  try {
+    const conversation = await Conversation.findForMember(chatId, req.user.id);
+    if (!conversation) return next(throwError(404, "Conversation not found"));
+
+    const upTo = await Message.findOne({
+      _id: messageId,
+      conversation: String(conversation._id),
+    });
+    if (!upTo) return next(throwError(404, "Message not found"));
+
+    const readAt = new Date();
+    const unread = {
+      conversation: String(conversation._id),
+      receiver: req.user.id,
+      readAt: null,
+      createdAt: { $lte: upTo.createdAt },
+    };
+    const { modifiedCount } = await Message.updateMany(unread, [
+      // reading implies delivery
+      {
+        $set: {
+          readAt,
+          deliveredAt: { $ifNull: ["$deliveredAt", readAt] },
+        },
+      },
+    ]);
+
+    if (modifiedCount) {
+      const receipt = {
+        chatId: String(conversation._id),
+        readerId: req.user.id,
+        upTo: String(upTo._id),
+        readAt,
+      };
+      emitToRooms(
+        [
+          chatRoom(conversation._id),
+          userRoom(conversation.partnerOf(req.user.id)),
+        ],
+        "messages_read",
+        receipt
+      );
+    }
+    // reading the conversation also reads its message notifications
+    await markNotificationsRead(req.user.id, {
+      groupKey: `conversation:${conversation._id}`,
+    });
+
+    sendSuccess(res, 200, { marked: modifiedCount, readAt });
   } catch (error) {
     next(error);
   }
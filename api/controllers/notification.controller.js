@@ -1,33 +1,73 @@
-import Notifications from "../models/notification.model.js";
+import Notifications, {
+  NOTIFICATION_TYPES,
+} from "../models/notification.model.js";
 import { throwError } from "../utils/error.js";
+import { sendSuccess } from "../utils/response.js";
+import { paginate, parsePagination } from "../utils/pagination.js";
+import { markNotificationsRead } from "../utils/notify.js";
+
+//======= Get Notification=======//
+// ?unread=true lists only unread ones, ?type=<type> a single type
+export const getNotification = async (req, res, next) => {
+  if (req.user.id != req.params.id)
+    return next(throwError(401, "User unauthorized!"));
+
+  const filter = { to: req.params.id };
+  if (req.query.unread === "true") filter.readAt = null;
+  if (req.query.type) {
+    if (!NOTIFICATION_TYPES.includes(req.query.type))
+      return next(
+        throwError(400, `type must be one of ${NOTIFICATION_TYPES.join(", ")}`)
+      );
+    filter.type = req.query.type;
+  }
 
-// ====== Create Notifications
-export const createNotification = async (req, res, next) => {
   try {
-    const { from } = req.body;
-
-    const existingNotification = await Notifications.findOne({ from });
-
-    if (existingNotification) {
-      return next(throwError(403, "Notification already exists"));
-    } else {
-      const createdNotification = await Notifications.create(req.body);
-      res.status(201).json({
-        message: "Notification created successfully",
-      });
-    }
+    const [notification, unread] = await Promise.all([
+      paginate(Notifications, filter, {
+        sort: { createdAt: -1, _id: -1 },
+        pagination: parsePagination(req.query),
+      }),
+      Notifications.unreadCounts(req.user.id),
+    ]);
+    sendSuccess(res, 200, { ...notification, unread });
   } catch (error) {
     next(error);
   }
 };
 
-//======= Get Notification=======//
-export const getNotification = async (req, res, next) => {
-  if (req.user.id != req.params.id)
-    return next(throwError(401, "User unauthorized!"));
+//======= Unread counts, in total and per type =======//
+export const getUnreadCount = async (req, res, next) => {
+  try {
+    sendSuccess(res, 200, await Notifications.unreadCounts(req.user.id));
+  } catch (error) {
+    next(error);
+  }
+};
+
+//======= Mark one notification as read =======//
+export const markNotificationRead = async (req, res, next) => {
+  try {
+    const notification = await Notifications.findOne({
+      _id: req.params.id,
+      to: req.user.id,
+    });
+    if (!notification) return next(throwError(404, "Notification not found"));
+
+    if (!notification.readAt)
+      await markNotificationsRead(req.user.id, { _id: notification._id });
+    sendSuccess(res, 200, null, "Notification marked as read");
+  } catch (error) {
+    next(error);
+  }
+};
+
+//======= Mark every (or every ?type) notification as read =======//
+export const markAllNotificationsRead = async (req, res, next) => {
   try {
-    const notification = await Notifications.find({ to: req.params.id });
-    res.status(200).json(notification);
+    const filter = req.body.type ? { type: req.body.type } : {};
+    const result = await markNotificationsRead(req.user.id, filter);
+    sendSuccess(res, 200, result, "Notifications marked as read");
   } catch (error) {
     next(error);
   }
@@ -38,9 +78,12 @@ export const getNotification = async (req, res, next) => {
 export const deleteNotification = async (req, res, next) => {
   try {
     const dltNotification = await Notifications.deleteOne({
-      from: req.params.id,
+      _id: req.params.id,
+      to: req.user.id,
     });
-    res.status(202).json("Notification deleteed successfully");
+    if (!dltNotification.deletedCount)
+      return next(throwError(404, "Notification not found"));
+    sendSuccess(res, 200, null, "Notification deleted successfully");
   } catch (error) {
     next(error);
   }
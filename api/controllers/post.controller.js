@@ -1,12 +1,40 @@
-import Listing from "../models/listing.models.js";
+import Listing, {
+  PUBLIC_LISTING_FILTER,
+  SUGGEST_MAX_LENGTH,
+  normalizeSuggestText,
+} from "../models/listing.models.js";
+import Favorite from "../models/favorite.models.js";
+import Report from "../models/report.models.js";
+import Conversation from "../models/conversation.models.js";
+import User from "../models/user.models.js";
+import Upload from "../models/upload.models.js";
 import { throwError } from "../utils/error.js";
+import { sendSuccess } from "../utils/response.js";
+import { queueSavedSearchMatches } from "../utils/savedSearchAlerts.js";
+import { checkReportThreshold } from "../utils/moderation.js";
+import { createChatMessage } from "../utils/messaging.js";
+import { queueEmail } from "../utils/email.js";
+import { escapeRegex } from "../utils/helper.js";
+import { LISTING_SORTS, buildListingFilter } from "../utils/listingFilters.js";
+import {
+  paginate,
+  paginateAggregate,
+  parsePagination,
+} from "../utils/pagination.js";
 
 export const createPost = async (req, res, next) => {
   if (req.user.id != req.body.userRef)
-    return next(throwError(400, "Token Expired, Login for create post"));
+    return next(throwError(403, "You can only create posts for yourself"));
   try {
+    const images = await Upload.findOwned(req.body.images, req.user.id, {
+      kind: "image",
+      field: "images",
+    });
+    req.body.imgUrl = images.map((image) => image.url);
+
     const post = await Listing.create(req.body);
-    res.status(201).json(post);
+    queueSavedSearchMatches(post);
+    sendSuccess(res, 201, post, "Post created successfully");
   } catch (error) {
     next(error);
   }
@@ -14,17 +42,17 @@ export const createPost = async (req, res, next) => {
 
 //======handle post Delete========//
 export const deletePost = async (req, res, next) => {
-  const isPostExist = await Listing.findById(req.params.id);
+  try {
+    const isPostExist = await Listing.findById(req.params.id);
 
-  if (!isPostExist) return next(throwError(404, "Post not found"));
+    if (!isPostExist) return next(throwError(404, "Post not found"));
 
-  if (req.user.id != isPostExist.userRef)
-    return next(throwError(400, "You can delete your own post"));
+    if (req.user.id != isPostExist.userRef)
+      return next(throwError(403, "You can only delete your own post"));
 
-  try {
-    await Listing.findByIdAndDelete(req.params.id);
+    await Listing.removeListing(req.params.id);
 
-    res.status(200).json("Post delete successfully");
+    sendSuccess(res, 200, null, "Post deleted successfully");
   } catch (error) {
     next(error);
   }
@@ -32,17 +60,134 @@ export const deletePost = async (req, res, next) => {
 
 //===== Handle Post Update ======//
 export const updatePost = async (req, res, next) => {
-  const isPostExist = await Listing.findById(req.params.id);
-  if (!isPostExist) return next(throwError(404, "Post not found"));
-  if (req.user.id != isPostExist.userRef)
-    return next(throwError(400, "You can only update  your own account"));
   try {
-    const updatedPost = await Listing.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true }
+    const isPostExist = await Listing.findById(req.params.id);
+    if (!isPostExist) return next(throwError(404, "Post not found"));
+    if (req.user.id != isPostExist.userRef)
+      return next(throwError(403, "You can only update your own post"));
+
+    if (req.body.images) {
+      const images = await Upload.findOwned(req.body.images, req.user.id, {
+        kind: "image",
+        field: "images",
+      });
+      req.body.imgUrl = images.map((image) => image.url);
+    }
+
+    // save() instead of findByIdAndUpdate so effectivePrice is recomputed
+    isPostExist.set(req.body);
+    const updatedPost = await isPostExist.save();
+    sendSuccess(res, 200, updatedPost, "Post updated successfully");
+  } catch (error) {
+    next(error);
+  }
+};
+
+//===== Move a post through its lifecycle ======//
+export const updatePostStatus = async (req, res, next) => {
+  try {
+    const post = await Listing.findById(req.params.id);
+    if (!post) return next(throwError(404, "Post not found"));
+    if (req.user.id != post.userRef)
+      return next(throwError(403, "You can only update your own post"));
+
+    const { status } = req.body;
+    if (!post.canTransitionTo(status))
+      return next(
+        throwError(
+          409,
+          `A ${post.type} post cannot move from ${post.currentStatus} to ${status}`
+        )
+      );
+
+    post.status = status;
+    post.statusChangedAt = new Date();
+    await post.save();
+    if (status === "published") queueSavedSearchMatches(post);
+    sendSuccess(res, 200, post, "Post status updated successfully");
+  } catch (error) {
+    next(error);
+  }
+};
+
+//===== Report a post to the moderators ====//
+export const reportPost = async (req, res, next) => {
+  try {
+    const post = await Listing.findById(req.params.id);
+    if (!post || !post.isVisibleTo(req.user.id))
+      return next(throwError(404, "Post not found"));
+    if (req.user.id == post.userRef)
+      return next(throwError(403, "You cannot report your own post"));
+
+    if (await Report.exists({ listing: post._id, reporter: req.user.id }))
+      return next(throwError(409, "You have already reported this post"));
+
+    const report = await Report.create({
+      listing: post._id,
+      reporter: req.user.id,
+      reason: req.body.reason,
+      comment: req.body.comment,
+    });
+    await checkReportThreshold(post);
+
+    sendSuccess(res, 201, report, "Thanks, the post has been reported");
+  } catch (error) {
+    next(error);
+  }
+};
+
+//===== Ask the seller about a post ====//
+// Opens the buyer-seller thread for this listing, or reuses it, and posts
+// the message into it
+export const inquirePost = async (req, res, next) => {
+  try {
+    const post = await Listing.findById(req.params.id);
+    if (!post || !post.isVisibleTo(req.user.id))
+      return next(throwError(404, "Post not found"));
+    if (req.user.id == post.userRef)
+      return next(throwError(403, "You cannot inquire about your own post"));
+
+    let conversation = await Conversation.findBetween(
+      req.user.id,
+      post.userRef,
+      post._id
+    );
+    const isNew = !conversation;
+
+    if (isNew) {
+      const [buyer, seller] = await Promise.all([
+        User.findById(req.user.id),
+        User.findById(post.userRef),
+      ]);
+      if (!buyer || !seller) return next(throwError(404, "User not found"));
+
+      conversation = await Conversation.create({
+        creatorId: String(buyer._id),
+        participantId: String(seller._id),
+        chatCreator: buyer.toChatProfile(),
+        chatPartner: seller.toChatProfile(),
+        listing: post._id,
+      });
+    }
+
+    const message = await createChatMessage(
+      conversation,
+      req.user.id,
+      { message: req.body.message },
+      { notificationType: "listing_inquiry" }
+    );
+    if (isNew)
+      queueEmail(post.userRef, "listing_inquiry", {
+        listing: post,
+        from: conversation.chatCreator.username,
+        message: req.body.message,
+      });
+    sendSuccess(
+      res,
+      isNew ? 201 : 200,
+      { conversation, message },
+      "Inquiry sent successfully"
     );
-    res.status(200).json(updatedPost);
   } catch (error) {
     next(error);
   }
@@ -52,7 +197,10 @@ export const updatePost = async (req, res, next) => {
 export const singlePost = async (req, res, next) => {
   try {
     const post = await Listing.findById(req.params.id);
-    res.status(200).json(post);
+    if (!post || !post.isVisibleTo(req.user?.id))
+      return next(throwError(404, "Post not found"));
+    const [favoritedPost] = await Favorite.markFavorited([post], req.user?.id);
+    sendSuccess(res, 200, favoritedPost);
   } catch (error) {
     next(error);
   }
@@ -62,42 +210,80 @@ export const singlePost = async (req, res, next) => {
 
 export const getListingPost = async (req, res, next) => {
   try {
-    const searchTerm = req.query.searchTerm || "";
-    const type = req.query.type || "";
-    const offer = req.query.offer || "";
-    const parking = req.query.parking || "";
-    const furnished = req.query.furnished || "";
-    const page = req.query.page || 1;
-
-    const query = {
-      $or: [
-        { title: { $regex: searchTerm, $options: "i" } },
-        { address: { $regex: searchTerm, $options: "i" } },
-        { description: { $regex: searchTerm, $options: "i" } },
-      ],
-    };
-
-    if (type !== "all") {
-      query.type = type;
-    }
-    if (offer === "true") {
-      query.offer = true;
-    }
-    if (parking === "true") {
-      query.parking = true;
-    }
-    if (furnished === "true") {
-      query.furnished = true;
+    const { filter, near, sort } = buildListingFilter(req.query, {
+      viewerId: req.user?.id,
+    });
+    const pagination = parsePagination(req.query);
+
+    let result;
+    if (near) {
+      // $geoNear adds `distance` (km) to each result and is the default
+      // order, an explicit sort takes precedence over it
+      result = await paginateAggregate(
+        Listing,
+        [
+          {
+            $geoNear: {
+              near: near.point,
+              distanceField: "distance",
+              distanceMultiplier: 0.001,
+              ...(near.maxDistance && { maxDistance: near.maxDistance }),
+              spherical: true,
+              query: filter,
+            },
+          },
+        ],
+        { sort: sort || { distance: 1, _id: 1 }, pagination }
+      );
+    } else if (sort === LISTING_SORTS.relevance) {
+      // textScore can only be sorted and paged on once it is a real field
+      result = await paginateAggregate(
+        Listing,
+        [{ $match: filter }, { $addFields: { score: { $meta: "textScore" } } }],
+        { sort, pagination }
+      );
+    } else {
+      result = await paginate(Listing, filter, {
+        sort: sort || undefined,
+        pagination,
+      });
     }
 
-    const limit = 12;
-    const pageNumber = parseInt(page);
+    result.items = await Favorite.markFavorited(result.items, req.user?.id);
+    sendSuccess(res, 200, result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+//==== Search box completions ====//
+const SUGGEST_LIMIT = 5;
+
+export const suggestPosts = async (req, res, next) => {
+  const q = normalizeSuggestText(req.query.q).slice(0, SUGGEST_MAX_LENGTH);
+  if (q.length < 2) return sendSuccess(res, 200, { titles: [], addresses: [] });
 
-    const skip = (pageNumber - 1) * limit;
+  // match the start of any word, titleWords/addressWords hold the text from
+  // every word start in lowercase so an anchored regex can use their index
+  const pattern = new RegExp(`^${escapeRegex(q)}`);
 
-    const listings = await Listing.find(query).skip(skip).limit(limit);
+  const distinctValues = async (field) => {
+    const docs = await Listing.find({
+      ...PUBLIC_LISTING_FILTER,
+      [`${field}Words`]: pattern,
+    })
+      .select(field)
+      .limit(SUGGEST_LIMIT * 4)
+      .lean();
+    return [...new Set(docs.map((doc) => doc[field]))].slice(0, SUGGEST_LIMIT);
+  };
 
-    res.status(200).json(listings);
+  try {
+    const [titles, addresses] = await Promise.all([
+      distinctValues("title"),
+      distinctValues("address"),
+    ]);
+    sendSuccess(res, 200, { titles, addresses });
   } catch (error) {
     next(error);
   }
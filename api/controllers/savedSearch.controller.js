@@ -0,0 +1,107 @@
+import Listing from "../models/listing.models.js";
+import SavedSearch from "../models/savedSearch.models.js";
+import { throwError } from "../utils/error.js";
+import {
+  buildListingFilter,
+  buildMatchFilter,
+  pickSearchParams,
+} from "../utils/listingFilters.js";
+import { sendSuccess } from "../utils/response.js";
+
+const MAX_SAVED_SEARCHES = 20;
+const DIGEST_MATCH_LIMIT = 20;
+
+//====== Get Saved Searches ======//
+export const getSavedSearches = async (req, res, next) => {
+  if (req.user.id !== req.params.id)
+    return next(throwError(403, "You can see only your saved searches"));
+  try {
+    const searches = await SavedSearch.find({ user: req.params.id }).sort({
+      createdAt: -1,
+    });
+    sendSuccess(res, 200, searches);
+  } catch (error) {
+    next(error);
+  }
+};
+
+//====== Create Saved Search ======//
+export const createSavedSearch = async (req, res, next) => {
+  if (req.user.id !== req.params.id)
+    return next(throwError(403, "You can only save searches for yourself"));
+  try {
+    const count = await SavedSearch.countDocuments({ user: req.params.id });
+    if (count >= MAX_SAVED_SEARCHES)
+      return next(
+        throwError(409, `You can save up to ${MAX_SAVED_SEARCHES} searches`)
+      );
+
+    const params = pickSearchParams(req.body.params);
+    // throws a 400 for anything getListingPost would reject
+    buildListingFilter(params);
+
+    const search = await SavedSearch.create({
+      user: req.params.id,
+      name: req.body.name,
+      params,
+      alerts: req.body.alerts,
+    });
+    sendSuccess(res, 201, search, "Search saved successfully");
+  } catch (error) {
+    next(error);
+  }
+};
+
+//====== Delete Saved Search ======//
+export const deleteSavedSearch = async (req, res, next) => {
+  if (req.user.id !== req.params.id)
+    return next(throwError(403, "You can delete only your saved searches"));
+  try {
+    const search = await SavedSearch.findOneAndDelete({
+      _id: req.params.searchId,
+      user: req.params.id,
+    });
+    if (!search) return next(throwError(404, "Saved search not found"));
+    sendSuccess(res, 200, null, "Saved search deleted successfully");
+  } catch (error) {
+    next(error);
+  }
+};
+
+//====== New matches since the last check ======//
+export const getSavedSearchDigest = async (req, res, next) => {
+  if (req.user.id !== req.params.id)
+    return next(throwError(403, "You can see only your saved searches"));
+  try {
+    const checkedAt = new Date();
+    const searches = await SavedSearch.find({ user: req.params.id });
+
+    const digest = await Promise.all(
+      searches.map(async (search) => {
+        const filter = {
+          $and: [
+            buildMatchFilter(search.params),
+            { publishedAt: { $gt: search.lastCheckedAt, $lte: checkedAt } },
+            { userRef: { $ne: req.params.id } },
+          ],
+        };
+        const [total, matches] = await Promise.all([
+          Listing.countDocuments(filter),
+          Listing.find(filter)
+            .sort({ publishedAt: -1 })
+            .limit(DIGEST_MATCH_LIMIT),
+        ]);
+        return { search, total, matches };
+      })
+    );
+
+    await SavedSearch.updateMany(
+      { _id: { $in: searches.map((search) => search._id) } },
+      { $set: { lastCheckedAt: checkedAt } }
+    );
+
+    sendSuccess(res, 200, { checkedAt, searches: digest });
+  } catch (error) {
+    next(error);
+  }
+};
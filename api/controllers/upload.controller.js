@@ -0,0 +1,75 @@
+import Upload from "../models/upload.models.js";
+import Listing from "../models/listing.models.js";
+import Message from "../models/message.models.js";
+import { throwError } from "../utils/error.js";
+import { sendSuccess } from "../utils/response.js";
+import { removeUploadFiles, saveUpload } from "../utils/uploads.js";
+
+//===== Upload one or more files (multipart field "files") =====//
+export const createUploads = async (req, res, next) => {
+  if (!req.files?.length)
+    return next(throwError(400, "Attach at least one file as `files`"));
+
+  const saved = [];
+  try {
+    for (const file of req.files) {
+      saved.push(await saveUpload(file, req.user.id));
+    }
+    sendSuccess(res, 201, saved, "Files uploaded successfully");
+  } catch (error) {
+    // all or nothing, drop what was stored before the failing file
+    await Promise.allSettled(
+      saved.map(async (upload) => {
+        await removeUploadFiles(upload);
+        await upload.deleteOne();
+      })
+    );
+    next(error);
+  }
+};
+
+export const getUpload = async (req, res, next) => {
+  try {
+    const upload = await Upload.findOne({
+      _id: req.params.id,
+      owner: req.user.id,
+    });
+    if (!upload) return next(throwError(404, "Upload not found"));
+    sendSuccess(res, 200, upload);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deleteUpload = async (req, res, next) => {
+  try {
+    const upload = await Upload.findOne({
+      _id: req.params.id,
+      owner: req.user.id,
+    });
+    if (!upload) return next(throwError(404, "Upload not found"));
+
+    // listings and messages keep the file's url, it must outlive them
+    const [listing, message] = await Promise.all([
+      Listing.exists({
+        $or: [{ images: upload._id }, { imgUrl: upload.url }],
+      }),
+      Message.exists({
+        $or: [{ attachmentUpload: upload._id }, { attachment: upload.url }],
+      }),
+    ]);
+    if (listing || message)
+      return next(
+        throwError(
+          409,
+          `Upload is still used by a ${listing ? "listing" : "message"}`
+        )
+      );
+
+    await removeUploadFiles(upload);
+    await upload.deleteOne();
+    sendSuccess(res, 200, null, "Upload deleted successfully");
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,64 +1,109 @@
-import Listing from "../models/listing.models.js";
-import User from "../models/user.models.js";
+import Listing, {
+  LISTING_STATUSES,
+  PUBLIC_LISTING_FILTER,
+} from "../models/listing.models.js";
+import User, { EMAIL_PREFERENCES } from "../models/user.models.js";
+import Favorite from "../models/favorite.models.js";
 import { throwError } from "../utils/error.js";
-import bcrypt from "bcrypt";
+import { sendSuccess } from "../utils/response.js";
+import {
+  paginate,
+  paginateAggregate,
+  parsePagination,
+} from "../utils/pagination.js";
+import { queueNotification } from "../utils/notify.js";
+import { queueJob } from "../jobs/queue.js";
+import { clearAuthCookies, revokeUserSessions } from "../utils/sessions.js";
+import { queueEmail } from "../utils/email.js";
+import { disconnectUser } from "../utils/socket.js";
+import { issueAuthToken, revokeAuthTokens } from "../utils/authTokens.js";
 
+// Everyone gets the public profile, the account itself gets all of it
 export const getUser = async (req, res, next) => {
   try {
     const user = await User.findById(req.params.id);
-    if (!user) return throwError(404, "User not found");
+    if (!user) return next(throwError(404, "User not found"));
 
-    const { password, ...rest } = user._doc;
+    if (req.user?.id !== user.id)
+      return sendSuccess(res, 200, user.toPublicProfile());
 
-    res.status(200).json(rest);
+    const { password, ...rest } = user._doc;
+    sendSuccess(res, 200, rest);
   } catch (error) {
     next(error);
   }
 };
 
 //=======update user api=======//
+// A new email address starts out unverified and gets a fresh verification
+// link, links sent to the old address stop working
 export const updateUser = async (req, res, next) => {
   const { email, username } = req.body;
   if (req.user.id !== req.params.id)
-    return next(throwError(401, "User Invalid"));
-
-  const checkEmail = await User.findOne({ email });
-  if (checkEmail) return next(throwError(500, "Invalid Information"));
+    return next(throwError(403, "User Invalid"));
 
-  const checkUserName = await User.findOne({ username });
-  if (checkUserName) return next(throwError(500, "Invalid Information"));
+  const emailChanged = Boolean(email) && email !== req.user.email;
+  // Clerk owns the address of linked accounts and syncs it by webhook
+  if (emailChanged && req.user.clerkId)
+    return next(
+      throwError(400, "Change your email address in your Clerk account", [
+        { field: "email", message: "is managed by Clerk" },
+      ])
+    );
 
   try {
-    if (req.body.password) {
-      req.body.password = bcrypt.hashSync(req.body.password, 10);
-    }
+    const others = { _id: { $ne: req.params.id } };
+    if (email && (await User.exists({ ...others, email })))
+      return next(throwError(409, "Email is already in use"));
+    if (username && (await User.exists({ ...others, username })))
+      return next(throwError(409, "Username is already taken"));
+
     const updateUser = await User.findByIdAndUpdate(
       req.params.id,
       {
         $set: {
           username: req.body.username,
-          password: req.body.password,
           email: req.body.email,
           avatar: req.body.avatar,
         },
+        ...(emailChanged && { $unset: { emailVerifiedAt: "" } }),
       },
       { new: true }
     );
+    if (!updateUser) return next(throwError(404, "User not found"));
+
+    if (emailChanged) {
+      await revokeAuthTokens(updateUser);
+      queueEmail(updateUser, "verify_email", {
+        token: await issueAuthToken(updateUser, "email_verification"),
+      });
+    }
+
     const { password, ...rest } = updateUser._doc;
-    res.status(200).json(rest);
+    sendSuccess(
+      res,
+      200,
+      rest,
+      emailChanged
+        ? "User updated successfully, check your email to verify your new address"
+        : "User updated successfully"
+    );
   } catch (error) {
-    next(throwError(error));
+    next(error);
   }
 };
 
 //=====Handle User Delete=====//
 export const deleteUser = async (req, res, next) => {
   if (req.user.id !== req.params.id)
-    return next(throwError(401, "User Invalid"));
+    return next(throwError(403, "User Invalid"));
   try {
-    await User.findByIdAndDelete(req.params.id);
-    res.clearCookie("access_token");
-    res.status(200).json("User Deleted Successfully!");
+    const user = await User.findByIdAndDelete(req.params.id);
+    if (user) queueJob("user.cleanup", { user: req.params.id });
+    await revokeUserSessions(req.params.id, "account_deleted");
+    disconnectUser(req.params.id);
+    clearAuthCookies(res);
+    sendSuccess(res, 200, null, "User Deleted Successfully!");
   } catch (error) {
     next(error);
   }
@@ -67,11 +112,174 @@ export const deleteUser = async (req, res, next) => {
 //=====Get User Created Post=====//
 export const userPosts = async (req, res, next) => {
   if (req.user.id !== req.params.id)
-    return next(throwError(401, "You can see only your posts"));
+    return next(throwError(403, "You can see only your posts"));
+  const filter = { userRef: req.params.id };
+  if (req.query.status) {
+    // ?status=draft,published
+    const statuses = String(req.query.status).split(",");
+    const unknown = statuses.filter((s) => !LISTING_STATUSES.includes(s));
+    if (unknown.length)
+      return next(throwError(400, `Unknown status: ${unknown.join(", ")}`));
+    // posts saved before statuses existed have none and count as published
+    filter.status = statuses.includes("published")
+      ? { $in: [...statuses, null] }
+      : { $in: statuses };
+  }
+
+  try {
+    const posts = await paginate(Listing, filter, {
+      pagination: parsePagination(req.query),
+    });
+    sendSuccess(res, 200, posts);
+  } catch (error) {
+    next(error);
+  }
+};
+
+//=====Saved Listings (favorites)=====//
+export const getFavorites = async (req, res, next) => {
+  if (req.user.id !== req.params.id)
+    return next(throwError(403, "You can see only your favorites"));
   try {
-    const posts = await Listing.find({ userRef: req.params.id });
-    res.status(200).json(posts);
+    // listings deleted or hidden since they were saved are left out before
+    // paging, so pages stay full and total only counts what is returned
+    const favorites = await paginateAggregate(
+      Favorite,
+      [
+        { $match: { user: req.params.id } },
+        {
+          $lookup: {
+            from: Listing.collection.name,
+            let: { listingId: "$listing" },
+            pipeline: [
+              { $match: { $expr: { $eq: ["$_id", "$$listingId"] } } },
+              {
+                $match: {
+                  $or: [PUBLIC_LISTING_FILTER, { userRef: req.user.id }],
+                },
+              },
+            ],
+            as: "listing",
+          },
+        },
+        { $unwind: "$listing" },
+      ],
+      {
+        sort: { createdAt: -1, _id: -1 },
+        pagination: parsePagination(req.query),
+      }
+    );
+    favorites.items = favorites.items.map(({ listing }) => ({
+      ...listing,
+      isFavorited: true,
+    }));
+
+    sendSuccess(res, 200, favorites);
   } catch (error) {
-    next(throwError(404, error.message));
+    next(error);
   }
 };
+
+export const addFavorite = async (req, res, next) => {
+  if (req.user.id !== req.params.id)
+    return next(throwError(403, "You can change only your favorites"));
+  try {
+    const listing = await Listing.findById(req.params.postId);
+    if (!listing || !listing.isVisibleTo(req.user.id))
+      return next(throwError(404, "Post not found"));
+
+    const { upsertedCount } = await Favorite.updateOne(
+      { user: req.params.id, listing: listing._id },
+      { $setOnInsert: { user: req.params.id, listing: listing._id } },
+      { upsert: true }
+    );
+    // saving an already saved listing is a no-op
+    if (upsertedCount) {
+      await Listing.updateOne(
+        { _id: listing._id },
+        { $inc: { favoritesCount: 1 } }
+      );
+      queueNotification({
+        to: listing.userRef,
+        from: req.user.id,
+        type: "favorite",
+        message: `Someone saved your listing "${listing.title}"`,
+        payload: { listing: String(listing._id) },
+      });
+    }
+
+    sendSuccess(
+      res,
+      upsertedCount ? 201 : 200,
+      null,
+      "Post saved to favorites"
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const removeFavorite = async (req, res, next) => {
+  if (req.user.id !== req.params.id)
+    return next(throwError(403, "You can change only your favorites"));
+  try {
+    const favorite = await Favorite.findOneAndDelete({
+      user: req.params.id,
+      listing: req.params.postId,
+    });
+    if (!favorite) return next(throwError(404, "Favorite not found"));
+
+    await Listing.updateOne(
+      { _id: favorite.listing, favoritesCount: { $gt: 0 } },
+      { $inc: { favoritesCount: -1 } }
+    );
+    sendSuccess(res, 200, null, "Post removed from favorites");
+  } catch (error) {
+    next(error);
+  }
+};
+
+//=====Email preferences=====//
+export const getEmailPreferences = async (req, res, next) => {
+  if (req.user.id !== req.params.id)
+    return next(throwError(403, "You can see only your email preferences"));
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return next(throwError(404, "User not found"));
+    sendSuccess(res, 200, emailPreferencesOf(user));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateEmailPreferences = async (req, res, next) => {
+  if (req.user.id !== req.params.id)
+    return next(throwError(403, "You can change only your email preferences"));
+  try {
+    // dotted paths so preferences left out of the body keep their value
+    const $set = {};
+    Object.entries(req.body).forEach(([name, value]) => {
+      $set[`emailPreferences.${name}`] = value;
+    });
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set },
+      { new: true }
+    );
+    if (!user) return next(throwError(404, "User not found"));
+    sendSuccess(
+      res,
+      200,
+      emailPreferencesOf(user),
+      "Email preferences updated successfully"
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+const emailPreferencesOf = (user) =>
+  Object.fromEntries(
+    EMAIL_PREFERENCES.map((name) => [name, user.wantsEmail(name)])
+  );
@@ -0,0 +1,128 @@
+import User from "../models/user.models.js";
+import { sendEmail } from "../utils/email.js";
+import { linkOrCreateClerkUser, verifiedClerkEmail } from "../utils/clerk.js";
+import { defineJob, enqueueJob } from "./queue.js";
+
+// Handle User Creation - Simplified for existing auth system
+async function handleUserCreated(userData) {
+  try {
+    console.log("Creating user from Clerk data:", userData.id);
+
+    const {
+      id: clerkId,
+      first_name,
+      last_name,
+      username,
+      image_url,
+    } = userData;
+
+    // Only a verified primary email is matched against local accounts
+    const emailAddress = verifiedClerkEmail(userData);
+    if (!emailAddress) {
+      console.log(`Clerk user ${clerkId} has no verified email yet, skipping`);
+      return;
+    }
+
+    const { user, created } = await linkOrCreateClerkUser(clerkId, {
+      email: emailAddress,
+      firstName: first_name,
+      lastName: last_name,
+      username,
+      imageUrl: image_url,
+    });
+
+    if (!created) {
+      console.log(`Linked existing user to Clerk: ${user.email}`);
+      return;
+    }
+    console.log(`✅ New Clerk user created: ${user.email}`);
+
+    await sendEmail(user, "welcome");
+  } catch (error) {
+    // another Clerk user already owns this email, retrying will not help
+    if (error.statusCode === 409) {
+      console.log(`User already exists: ${error.message}`);
+      return;
+    }
+    console.error("❌ Error creating Clerk user:", error);
+    throw error;
+  }
+}
+
+// Handle User Update
+async function handleUserUpdated(userData) {
+  try {
+    console.log("Updating user from Clerk data:", userData.id);
+
+    const {
+      id: clerkId,
+      first_name,
+      last_name,
+      username,
+      image_url,
+    } = userData;
+
+    // an unverified primary email is not synced until Clerk verifies it
+    const emailAddress = verifiedClerkEmail(userData);
+
+    const updatedUser = await User.findOneAndUpdate(
+      { clerkId },
+      {
+        $set: {
+          ...(emailAddress && { email: emailAddress }),
+          firstName: first_name || "",
+          lastName: last_name || "",
+          username: username || "",
+          avatar: image_url || "",
+          updatedAt: new Date(),
+        },
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (updatedUser) {
+      console.log(`✅ User updated successfully: ${updatedUser.email}`);
+    } else {
+      console.log(`❌ User not found for update: ${clerkId}`);
+    }
+  } catch (error) {
+    console.error("❌ Error updating user:", error);
+    throw error;
+  }
+}
+
+// Handle User Deletion
+async function handleUserDeleted(userData) {
+  try {
+    console.log("Deleting user from Clerk data:", userData.id);
+
+    const { id: clerkId } = userData;
+
+    const deletedUser = await User.findOneAndDelete({ clerkId });
+
+    if (deletedUser) {
+      console.log(`✅ User deleted successfully: ${deletedUser.email}`);
+      await enqueueJob("user.cleanup", { user: String(deletedUser._id) });
+    } else {
+      console.log(`❌ User not found for deletion: ${clerkId}`);
+    }
+  } catch (error) {
+    console.error("❌ Error deleting user:", error);
+    throw error;
+  }
+}
+
+//===== Clerk webhook events, enqueued by POST /api/webhooks/clerk =====//
+// Handlers throw on failure so the event is retried instead of lost
+const CLERK_EVENT_HANDLERS = {
+  "user.created": handleUserCreated,
+  "user.updated": handleUserUpdated,
+  "user.deleted": handleUserDeleted,
+};
+
+defineJob("clerk.webhook", async ({ type, data }) => {
+  const handler = CLERK_EVENT_HANDLERS[type];
+  if (!handler) return console.log(`Unhandled event type: ${type}`);
+  console.log(`Processing ${type} event`);
+  await handler(data);
+});
@@ -0,0 +1,25 @@
+import Email from "../models/email.models.js";
+import { deliverEmail } from "../utils/email.js";
+import {
+  MESSAGE_DIGEST_DELAY_MS,
+  sendUnreadDigests,
+} from "../utils/messageDigest.js";
+import { defineJob, defineRecurringJob } from "./queue.js";
+
+defineJob(
+  "email.send",
+  async ({ email: id }) => {
+    const email = await Email.findById(id);
+    if (email) await deliverEmail(email);
+  },
+  {
+    onDead: ({ email: id }) =>
+      Email.updateOne({ _id: id, status: "queued" }, { status: "failed" }),
+  }
+);
+
+defineRecurringJob(
+  "messages.digest",
+  MESSAGE_DIGEST_DELAY_MS / 4,
+  sendUnreadDigests
+);
@@ -0,0 +1,8 @@
+// Importing a *.jobs.js file registers its handlers with the queue, a
+// worker only runs the jobs that were registered in its process
+import "./clerk.jobs.js";
+import "./email.jobs.js";
+import "./savedSearch.jobs.js";
+import "./user.jobs.js";
+
+export { enqueueJob, queueJob, retryJob, startWorker } from "./queue.js";
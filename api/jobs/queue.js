@@ -0,0 +1,217 @@
+import crypto from "crypto";
+import os from "os";
+import Job from "../models/job.models.js";
+
+export const JOB_MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS) || 5;
+const BACKOFF_BASE_MS = Number(process.env.JOB_BACKOFF_BASE_MS) || 30 * 1000;
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+// a running job older than this belonged to a worker that died
+const LOCK_TIMEOUT_MS =
+  (Number(process.env.JOB_LOCK_TIMEOUT_MINUTES) || 10) * 60 * 1000;
+const POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+
+// name -> { handler, maxAttempts, onDead, needsSockets }
+const definitions = new Map();
+// name -> interval in ms, for jobs that run on a schedule
+const recurring = new Map();
+
+//===== Register the handler for a job name =====//
+// handler(payload, job) may throw to have the job retried, onDead(payload,
+// error) runs once the last attempt failed. Jobs that push over socket.io
+// set needsSockets, only a worker inside the API process runs them.
+export const defineJob = (
+  name,
+  handler,
+  { maxAttempts = JOB_MAX_ATTEMPTS, onDead, needsSockets = false } = {}
+) => {
+  definitions.set(name, { handler, maxAttempts, onDead, needsSockets });
+};
+
+// Next run of a recurring job, the time slot in the key keeps several
+// workers from scheduling the same run twice
+const scheduleNextRun = (name) => {
+  const interval = recurring.get(name);
+  const runAt = (Math.floor(Date.now() / interval) + 1) * interval;
+  return enqueueJob(
+    name,
+    {},
+    { runAt: new Date(runAt), uniqueKey: `${name}:${runAt}` }
+  );
+};
+
+//===== Register a job that runs every `interval` ms =====//
+export const defineRecurringJob = (name, interval, handler, options) => {
+  recurring.set(name, interval);
+  defineJob(
+    name,
+    async (payload, job) => {
+      // schedule first so a failing run does not stop the schedule
+      if (job.attempts === 1) await scheduleNextRun(name);
+      await handler(payload, job);
+    },
+    options
+  );
+};
+
+//===== Add a job to the queue =====//
+export const enqueueJob = async (
+  name,
+  payload = {},
+  { delay = 0, runAt, uniqueKey, maxAttempts } = {}
+) => {
+  try {
+    return await Job.create({
+      name,
+      payload,
+      uniqueKey,
+      runAt: runAt || new Date(Date.now() + delay),
+      maxAttempts:
+        maxAttempts || definitions.get(name)?.maxAttempts || JOB_MAX_ATTEMPTS,
+    });
+  } catch (error) {
+    // enqueued before, e.g. a webhook delivered twice
+    if (error.code === 11000 && uniqueKey) return Job.findOne({ uniqueKey });
+    throw error;
+  }
+};
+
+// Fire-and-forget variant for request handlers
+export const queueJob = (name, payload, options) => {
+  enqueueJob(name, payload, options).catch((error) =>
+    console.error(`❌ Error enqueuing ${name} job:`, error)
+  );
+};
+
+// 30s, 1m, 2m, 4m ... with some jitter so failed jobs do not retry in step
+export const backoffDelay = (attempts) => {
+  const delay = Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+const claimNextJob = (workerId, names) => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      status: "queued",
+      runAt: { $lte: now },
+      // a standalone worker may not know (or be able to run) every job
+      name: { $in: names },
+    },
+    {
+      $set: { status: "running", lockedAt: now, lockedBy: workerId },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+//===== Run one claimed job and record the outcome =====//
+export const runJob = async (job) => {
+  const definition = definitions.get(job.name);
+  try {
+    if (!definition) throw new Error(`No handler for job "${job.name}"`);
+    await definition.handler(job.payload, job);
+
+    job.status = "completed";
+    job.completedAt = new Date();
+    job.lastError = undefined;
+  } catch (error) {
+    job.lastError = error.message;
+    if (job.attempts >= job.maxAttempts) {
+      job.status = "dead";
+      job.failedAt = new Date();
+      console.error(`❌ Job ${job.name} ${job._id} is dead:`, error.message);
+      await definition?.onDead?.(job.payload, error);
+    } else {
+      job.status = "queued";
+      job.runAt = new Date(Date.now() + backoffDelay(job.attempts));
+    }
+  }
+  job.lockedAt = undefined;
+  job.lockedBy = undefined;
+  await job.save();
+  return job;
+};
+
+// Put jobs of crashed workers back in the queue
+export const releaseStaleJobs = async () => {
+  const { modifiedCount } = await Job.updateMany(
+    {
+      status: "running",
+      lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) },
+    },
+    {
+      $set: { status: "queued", runAt: new Date() },
+      $unset: { lockedAt: 1, lockedBy: 1 },
+    }
+  );
+  return modifiedCount;
+};
+
+//===== Send a dead job back to the queue with fresh attempts =====//
+export const retryJob = (id) =>
+  Job.findOneAndUpdate(
+    { _id: id, status: "dead" },
+    {
+      $set: { status: "queued", attempts: 0, runAt: new Date() },
+      $unset: { failedAt: 1 },
+    },
+    { new: true }
+  );
+
+//===== Worker, runs in the API process or on its own (worker.js) =====//
+// hasSockets: the process serves socket.io, so needsSockets jobs can run.
+// socketJobsOnly: leave every other job to a standalone worker.
+export const startWorker = ({
+  pollInterval = POLL_INTERVAL_MS,
+  concurrency = Number(process.env.JOB_CONCURRENCY) || 1,
+  hasSockets = false,
+  socketJobsOnly = false,
+} = {}) => {
+  const workerId = `${os.hostname()}:${process.pid}:${crypto
+    .randomBytes(3)
+    .toString("hex")}`;
+  let stopped = false;
+  let timer = null;
+
+  const names = [...definitions]
+    .filter(([, { needsSockets }]) =>
+      needsSockets ? hasSockets : !socketJobsOnly
+    )
+    .map(([name]) => name);
+
+  const work = async () => {
+    // drain the queue, then wait for the next poll
+    let job;
+    while (!stopped && (job = await claimNextJob(workerId, names))) {
+      await runJob(job);
+    }
+  };
+
+  const tick = async () => {
+    try {
+      await releaseStaleJobs();
+      await Promise.all(Array.from({ length: concurrency }, work));
+    } catch (error) {
+      console.error("❌ Job worker error:", error);
+    }
+    if (!stopped) timer = setTimeout(tick, pollInterval);
+  };
+
+  Promise.all(
+    [...recurring.keys()]
+      .filter((name) => names.includes(name))
+      .map(scheduleNextRun)
+  )
+    .catch((error) => console.error("❌ Error scheduling jobs:", error))
+    .then(tick);
+  console.log(`Job worker ${workerId} started`);
+
+  return {
+    id: workerId,
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+};
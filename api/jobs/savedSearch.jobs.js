@@ -0,0 +1,13 @@
+import Listing from "../models/listing.models.js";
+import { notifySavedSearchMatches } from "../utils/savedSearchAlerts.js";
+import { defineJob } from "./queue.js";
+
+// matches are pushed to the owners' sockets, so this runs in the API process
+defineJob(
+  "savedSearch.match",
+  async ({ listing: id }) => {
+    const listing = await Listing.findById(id);
+    if (listing) await notifySavedSearchMatches(listing);
+  },
+  { needsSockets: true }
+);
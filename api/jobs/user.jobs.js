@@ -0,0 +1,4 @@
+import { cleanupUserData } from "../utils/userCleanup.js";
+import { defineJob } from "./queue.js";
+
+defineJob("user.cleanup", ({ user }) => cleanupUserData(user));
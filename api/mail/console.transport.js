@@ -0,0 +1,9 @@
+//===== Development transport, prints the email instead of sending it =====//
+export const createConsoleTransport = () => ({
+  name: "console",
+
+  async send({ to, subject, text }) {
+    console.log(`📧 Email to ${to}: ${subject}\n${text}`);
+    return { id: null };
+  },
+});
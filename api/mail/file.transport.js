@@ -0,0 +1,22 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+//===== Local SMTP stand-in, each email becomes a JSON file =====//
+// Handy in development and tests: read MAIL_DIR to see what was sent.
+export const createFileTransport = ({
+  directory = path.resolve(process.env.MAIL_DIR || "mail"),
+} = {}) => ({
+  name: "file",
+  directory,
+
+  async send(message) {
+    const id = `${Date.now()}-${crypto.randomUUID()}`;
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(
+      path.join(directory, `${id}.json`),
+      JSON.stringify({ ...message, date: new Date() }, null, 2)
+    );
+    return { id };
+  },
+});
@@ -0,0 +1,24 @@
+import { createConsoleTransport } from "./console.transport.js";
+import { createFileTransport } from "./file.transport.js";
+
+// Mail transports share one interface:
+//   send({ from, to, subject, text, html }) -> { id }
+// MAIL_TRANSPORT picks one, smtp when SMTP_HOST is set and console otherwise.
+const transports = {
+  console: async () => createConsoleTransport(),
+  file: async () => createFileTransport(),
+  // loaded on demand so nodemailer is only needed when it is used
+  smtp: async () => (await import("./smtp.transport.js")).createSmtpTransport(),
+};
+
+let transport = null;
+
+export const getTransport = async () => {
+  if (transport) return transport;
+
+  const name =
+    process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? "smtp" : "console");
+  if (!transports[name]) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  transport = await transports[name]();
+  return transport;
+};
@@ -0,0 +1,158 @@
+// Each template renders { subject, text, html } from the recipient and the
+// data passed to sendEmail. `category` is the User.emailPreferences key
+// that can turn it off, templates without one are always sent.
+
+import { AUTH_TOKEN_TTL_SECONDS } from "../utils/authTokens.js";
+
+const APP_URL = (
+  process.env.APP_URL || "https://property-sell.vercel.app"
+).replace(/\/$/, "");
+
+const escapeHtml = (value = "") =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const durationOf = (seconds) =>
+  seconds % 3600 === 0
+    ? `${seconds / 3600} hour${seconds === 3600 ? "" : "s"}`
+    : `${Math.round(seconds / 60)} minutes`;
+
+const nameOf = (user) => user.firstName || user.username || "there";
+
+// paragraphs are plain text, the html version is escaped and wrapped
+const render = ({ subject, user, paragraphs, link }) => {
+  const lines = [`Hi ${nameOf(user)},`, ...paragraphs];
+  const text = [...lines, ...(link ? [`${link.label}: ${link.url}`] : [])]
+    .join("\n\n")
+    .concat("\n\n— Property Sell");
+
+  const html = `<!doctype html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #1f2937; line-height: 1.5">
+    ${lines.map((line) => `<p>${escapeHtml(line)}</p>`).join("\n    ")}
+    ${
+      link
+        ? `<p><a href="${escapeHtml(link.url)}">${escapeHtml(
+            link.label
+          )}</a></p>`
+        : ""
+    }
+    <p style="color: #6b7280; font-size: 12px">
+      You can change which emails you get in your profile settings.
+    </p>
+  </body>
+</html>`;
+
+  return { subject, text, html };
+};
+
+const listingUrl = (listing) => `${APP_URL}/listing/${listing._id}`;
+
+export const templates = {
+  welcome: {
+    render: ({ user }) =>
+      render({
+        subject: "Welcome to Property Sell",
+        user,
+        paragraphs: [
+          "Thanks for joining Property Sell. You can now post listings, save your favorite properties and chat with sellers.",
+        ],
+        link: { label: "Start browsing", url: `${APP_URL}/search` },
+      }),
+  },
+
+  verify_email: {
+    render: ({ user, token }) =>
+      render({
+        subject: "Confirm your email address",
+        user,
+        paragraphs: [
+          `Please confirm your email address to start posting listings. The link expires in ${durationOf(
+            AUTH_TOKEN_TTL_SECONDS.email_verification
+          )}.`,
+        ],
+        link: {
+          label: "Confirm email address",
+          url: `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`,
+        },
+      }),
+  },
+
+  password_reset: {
+    render: ({ user, token }) =>
+      render({
+        subject: "Reset your password",
+        user,
+        paragraphs: [
+          `Someone asked to reset the password of your Property Sell account. The link works once and expires in ${durationOf(
+            AUTH_TOKEN_TTL_SECONDS.password_reset
+          )}.`,
+          "If this was not you, ignore this email and your password stays the same.",
+        ],
+        link: {
+          label: "Choose a new password",
+          url: `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`,
+        },
+      }),
+  },
+
+  listing_inquiry: {
+    category: "inquiries",
+    render: ({ user, listing, from, message }) =>
+      render({
+        subject: `New inquiry about "${listing.title}"`,
+        user,
+        paragraphs: [
+          `${from} is interested in your listing "${listing.title}":`,
+          message,
+        ],
+        link: { label: "Reply in your messages", url: `${APP_URL}/message` },
+      }),
+  },
+
+  message_digest: {
+    category: "messageDigest",
+    render: ({ user, count, conversations }) =>
+      render({
+        subject: `You have ${count} unread message${count === 1 ? "" : "s"}`,
+        user,
+        paragraphs: [
+          `You have ${count} unread message${
+            count === 1 ? "" : "s"
+          } in ${conversations} conversation${conversations === 1 ? "" : "s"}.`,
+        ],
+        link: { label: "Read your messages", url: `${APP_URL}/message` },
+      }),
+  },
+
+  saved_search_match: {
+    category: "savedSearches",
+    render: ({ user, listing, search }) =>
+      render({
+        subject: `New match for "${search.name}"`,
+        user,
+        paragraphs: [
+          `A new listing matches your saved search "${search.name}": ${listing.title}, ${listing.address}.`,
+        ],
+        link: { label: "View the listing", url: listingUrl(listing) },
+      }),
+  },
+
+  listing_moderation: {
+    category: "moderation",
+    render: ({ user, listing, action, reason }) =>
+      render({
+        subject: `Your listing "${listing.title}" was ${action}`,
+        user,
+        paragraphs: [
+          `Your listing "${listing.title}" was ${action} by our moderation team.`,
+          `Reason: ${reason}`,
+        ],
+        link: { label: "View the listing", url: listingUrl(listing) },
+      }),
+  },
+};
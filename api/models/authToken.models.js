@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+export const AUTH_TOKEN_PURPOSES = ["email_verification", "password_reset"];
+
+// Server-side record of an emailed token, makes the signed token single-use
+const authTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: String,
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: AUTH_TOKEN_PURPOSES,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+authTokenSchema.index({ user: 1, purpose: 1, usedAt: 1 });
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthToken = mongoose.model("AuthTokens", authTokenSchema);
+
+export default AuthToken;
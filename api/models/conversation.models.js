@@ -18,10 +18,43 @@ const conversationSchema = new mongoose.Schema(
       type: Object,
       required: true,
     },
+    // set for buyer-seller inquiries, one thread per listing and pair
+    listing: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+    },
   },
   { timestamps: true }
 );
 
+conversationSchema.index({ creatorId: 1, participantId: 1, listing: 1 });
+conversationSchema.index({ participantId: 1, listing: 1 });
+
+// The conversation between two users, about `listing` when it is given and
+// otherwise the one not tied to any listing
+conversationSchema.statics.findBetween = function (userA, userB, listing) {
+  return this.findOne({
+    listing: listing || null,
+    $or: [
+      { creatorId: String(userA), participantId: String(userB) },
+      { creatorId: String(userB), participantId: String(userA) },
+    ],
+  });
+};
+
+// The conversation if userId takes part in it, otherwise null
+conversationSchema.statics.findForMember = function (chatId, userId) {
+  if (!mongoose.isValidObjectId(chatId)) return Promise.resolve(null);
+  return this.findOne({
+    _id: chatId,
+    $or: [{ creatorId: String(userId) }, { participantId: String(userId) }],
+  });
+};
+
+conversationSchema.methods.partnerOf = function (userId) {
+  return this.creatorId == userId ? this.participantId : this.creatorId;
+};
+
 const Conversation = mongoose.model("Conversations", conversationSchema);
 
 export default Conversation;
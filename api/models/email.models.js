@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+
+export const EMAIL_STATUSES = ["queued", "sent", "failed"];
+
+// Outbox of rendered emails, delivered (and retried) by the email.send job.
+// failed means the job ran out of attempts.
+const emailSchema = new mongoose.Schema(
+  {
+    user: {
+      type: String,
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+    template: {
+      type: String,
+      required: true,
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    text: {
+      type: String,
+      required: true,
+    },
+    html: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: EMAIL_STATUSES,
+      default: "queued",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: {
+      type: String,
+    },
+    transport: {
+      type: String,
+    },
+    sentAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+emailSchema.index({ status: 1, createdAt: -1 });
+emailSchema.index({ user: 1, createdAt: -1 });
+
+const Email = mongoose.model("Emails", emailSchema);
+
+export default Email;
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+const favoriteSchema = new mongoose.Schema(
+  {
+    user: {
+      type: String,
+      required: true,
+    },
+    listing: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+favoriteSchema.index({ user: 1, listing: 1 }, { unique: true });
+favoriteSchema.index({ user: 1, createdAt: -1 });
+favoriteSchema.index({ listing: 1 });
+
+// Add an isFavorited flag to listings (documents or aggregate results)
+favoriteSchema.statics.markFavorited = async function (listings, userId) {
+  const favorited = new Set();
+  if (userId && listings.length) {
+    const favorites = await this.find({
+      user: String(userId),
+      listing: { $in: listings.map((listing) => listing._id) },
+    }).select("listing");
+    favorites.forEach((favorite) => favorited.add(String(favorite.listing)));
+  }
+
+  return listings.map((listing) => ({
+    ...(listing.toObject ? listing.toObject() : listing),
+    isFavorited: favorited.has(String(listing._id)),
+  }));
+};
+
+const Favorite = mongoose.model("Favorites", favoriteSchema);
+
+export default Favorite;
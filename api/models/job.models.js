@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+
+// queued -> running -> completed, or back to queued for a retry and
+// finally dead once every attempt failed
+export const JOB_STATUSES = ["queued", "running", "completed", "dead"];
+
+// how long finished jobs are kept, a uniqueKey can be enqueued again after
+const DAY = 24 * 60 * 60;
+const COMPLETED_TTL_SECONDS =
+  (Number(process.env.JOB_COMPLETED_RETENTION_DAYS) || 7) * DAY;
+const DEAD_TTL_SECONDS =
+  (Number(process.env.JOB_DEAD_RETENTION_DAYS) || 30) * DAY;
+
+const jobSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: "queued",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      required: true,
+    },
+    // not picked up before this time, also used for the retry backoff
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // a job with the same key is only ever enqueued once (e.g. a webhook id)
+    uniqueKey: {
+      type: String,
+    },
+    lockedAt: {
+      type: Date,
+    },
+    lockedBy: {
+      type: String,
+    },
+    lastError: {
+      type: String,
+    },
+    completedAt: {
+      type: Date,
+    },
+    failedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true, minimize: false }
+);
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedAt: 1 });
+jobSchema.index({ name: 1, status: 1, createdAt: -1 });
+jobSchema.index({ uniqueKey: 1 }, { unique: true, sparse: true });
+// finished jobs are removed by MongoDB, retryJob clears failedAt
+jobSchema.index(
+  { completedAt: 1 },
+  { expireAfterSeconds: COMPLETED_TTL_SECONDS }
+);
+jobSchema.index({ failedAt: 1 }, { expireAfterSeconds: DEAD_TTL_SECONDS });
+
+const Job = mongoose.model("Jobs", jobSchema);
+
+export default Job;
@@ -1,4 +1,60 @@
 import mongoose from "mongoose";
+import Favorite from "./favorite.models.js";
+import Report from "./report.models.js";
+
+//===== Listing lifecycle =====//
+export const LISTING_STATUSES = [
+  "draft",
+  "published",
+  "under_offer",
+  "sold",
+  "rented",
+  "archived",
+];
+
+// only the owner can see listings in these states
+export const HIDDEN_STATUSES = ["draft", "archived"];
+
+// what everyone but the owner is allowed to see
+export const PUBLIC_LISTING_FILTER = {
+  status: { $nin: HIDDEN_STATUSES },
+  hiddenByModeration: { $ne: true },
+};
+
+const STATUS_TRANSITIONS = {
+  draft: ["published", "archived"],
+  published: ["draft", "under_offer", "sold", "rented", "archived"],
+  under_offer: ["published", "sold", "rented", "archived"],
+  sold: ["published", "archived"],
+  rented: ["published", "archived"],
+  archived: ["draft", "published"],
+};
+
+// GeoJSON point, coordinates are stored as [longitude, latitude]
+const pointSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["Point"],
+      default: "Point",
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined,
+      required: true,
+      validate: {
+        validator: ([lng, lat, ...rest] = []) =>
+          rest.length === 0 &&
+          lng >= -180 &&
+          lng <= 180 &&
+          lat >= -90 &&
+          lat <= 90,
+        message: "coordinates must be [longitude, latitude]",
+      },
+    },
+  },
+  { _id: false }
+);
 
 const listingSchema = new mongoose.Schema(
   {
@@ -14,6 +70,9 @@ const listingSchema = new mongoose.Schema(
       required: true,
       type: String,
     },
+    location: {
+      type: pointSchema,
+    },
     area: {
       required: true,
       type: Number,
@@ -33,6 +92,10 @@ const listingSchema = new mongoose.Schema(
     discountPrice: {
       type: Number,
     },
+    // price buyers actually pay, kept in sync by the pre("validate") hook
+    effectivePrice: {
+      type: Number,
+    },
     furnished: {
       required: true,
       type: Boolean,
@@ -53,14 +116,184 @@ const listingSchema = new mongoose.Schema(
       type: Array,
       required: true,
     },
+    // uploads behind imgUrl, posts from before uploads only have imgUrl
+    images: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Uploads" }],
+      default: undefined,
+    },
     userRef: {
       type: String,
       required: true,
     },
+    status: {
+      type: String,
+      enum: LISTING_STATUSES,
+      default: "published",
+    },
+    statusChangedAt: {
+      type: Date,
+    },
+    // last time the post went (back) to published, used by saved searches
+    publishedAt: {
+      type: Date,
+    },
+    favoritesCount: {
+      type: Number,
+      default: 0,
+    },
+    // set by moderators or by the report threshold, independent of status
+    hiddenByModeration: {
+      type: Boolean,
+      default: false,
+    },
+    moderationReason: {
+      type: String,
+    },
+    // lowercase text from the start of every word, kept in sync by the
+    // pre("validate") hook so suggestPosts can use an anchored prefix match
+    titleWords: {
+      type: [String],
+      select: false,
+      default: undefined,
+    },
+    addressWords: {
+      type: [String],
+      select: false,
+      default: undefined,
+    },
   },
   { timestamps: true }
 );
 
+// suggestPosts cuts the search box input to the same length
+export const SUGGEST_MAX_LENGTH = 100;
+const SUGGEST_MAX_WORDS = 20;
+
+export const normalizeSuggestText = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .trim()
+    .replace(/\s+/g, " ");
+
+// "Flat in Paris" -> ["flat in paris", "in paris", "paris"]
+export const wordStartsOf = (text) => {
+  const words = normalizeSuggestText(text).split(" ").filter(Boolean);
+  return words
+    .slice(0, SUGGEST_MAX_WORDS)
+    .map((_, index) =>
+      words.slice(index).join(" ").slice(0, SUGGEST_MAX_LENGTH)
+    );
+};
+
+const effectivePriceOf = ({ offer, price, discountPrice }) =>
+  offer && discountPrice != null ? discountPrice : price;
+
+listingSchema.pre("validate", function (next) {
+  this.effectivePrice = effectivePriceOf(this);
+  if (this.isNew || this.isModified("title"))
+    this.titleWords = wordStartsOf(this.title);
+  if (this.isNew || this.isModified("address"))
+    this.addressWords = wordStartsOf(this.address);
+  if (
+    (this.isNew || this.isModified("status")) &&
+    this.currentStatus === "published"
+  )
+    this.publishedAt = new Date();
+  next();
+});
+
+// Listings saved before statuses existed have none and count as published
+listingSchema.virtual("currentStatus").get(function () {
+  return this.status || "published";
+});
+
+listingSchema.methods.canTransitionTo = function (status) {
+  if (status === "sold" && this.type !== "sale") return false;
+  if (status === "rented" && this.type !== "rent") return false;
+  return STATUS_TRANSITIONS[this.currentStatus].includes(status);
+};
+
+listingSchema.methods.isVisibleTo = function (userId) {
+  if (this.userRef == userId) return true;
+  return (
+    !HIDDEN_STATUSES.includes(this.currentStatus) && !this.hiddenByModeration
+  );
+};
+
+listingSchema.index({ location: "2dsphere" });
+listingSchema.index(
+  { title: "text", address: "text", description: "text" },
+  {
+    name: "listing_text",
+    weights: { title: 10, address: 5, description: 1 },
+  }
+);
+listingSchema.index({ type: 1, offer: 1, effectivePrice: 1 });
+listingSchema.index({ type: 1, createdAt: -1 });
+listingSchema.index({ type: 1, area: -1 });
+listingSchema.index({ bed: 1, bath: 1, effectivePrice: 1 });
+listingSchema.index({ effectivePrice: 1 });
+listingSchema.index({ createdAt: -1 });
+listingSchema.index({ userRef: 1, status: 1 });
+listingSchema.index({ publishedAt: -1 });
+listingSchema.index({ titleWords: 1 });
+listingSchema.index({ addressWords: 1 });
+
+// Fill effectivePrice on listings saved before the field existed, run by
+// scripts/backfill-effective-price.js
+listingSchema.statics.backfillEffectivePrice = function () {
+  return this.updateMany({ effectivePrice: { $exists: false } }, [
+    {
+      $set: {
+        effectivePrice: {
+          $cond: [
+            { $and: ["$offer", { $gt: ["$discountPrice", null] }] },
+            "$discountPrice",
+            "$price",
+          ],
+        },
+      },
+    },
+  ]);
+};
+
+// Fill titleWords/addressWords on listings saved before the fields existed,
+// run by scripts/backfill-suggest-words.js
+listingSchema.statics.backfillSuggestWords = async function () {
+  const listings = this.find({ titleWords: { $exists: false } })
+    .select("title address")
+    .lean()
+    .cursor();
+
+  let updated = 0;
+  for await (const listing of listings) {
+    await this.updateOne(
+      { _id: listing._id },
+      {
+        $set: {
+          titleWords: wordStartsOf(listing.title),
+          addressWords: wordStartsOf(listing.address),
+        },
+      }
+    );
+    updated++;
+  }
+  return updated;
+};
+
+// Delete a listing together with the data that only exists because of it
+listingSchema.statics.removeListing = async function (id) {
+  const listing = await this.findByIdAndDelete(id);
+  if (listing) {
+    await Favorite.deleteMany({ listing: listing._id });
+    await Report.resolveForListing(listing._id, {
+      status: "dismissed",
+      resolution: "Listing deleted",
+    });
+  }
+  return listing;
+};
+
 const Listing = mongoose.model("Post", listingSchema);
 
 export default Listing;
@@ -1,14 +1,22 @@
 import mongoose from "mongoose";
+import Conversation from "./conversation.models.js";
 
 const messageSchema = new mongoose.Schema(
   {
+    // optional when the message carries an attachment
     message: {
       type: String,
-      required: true,
+      required: function () {
+        return !this.attachment && !this.deletedAt;
+      },
     },
     attachment: {
       type: String,
     },
+    attachmentUpload: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Uploads",
+    },
     sender: {
       type: String,
       required: true,
@@ -17,10 +25,65 @@ const messageSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    conversation: {
+      type: String,
+    },
+    deliveredAt: {
+      type: Date,
+    },
+    readAt: {
+      type: Date,
+    },
+    editedAt: {
+      type: Date,
+    },
+    // "delete for everyone" blanks the content and keeps a placeholder
+    deletedAt: {
+      type: Date,
+    },
+    // "delete for me", the message stays for the other member
+    deletedFor: {
+      type: [String],
+      default: undefined,
+    },
+    // set once the message was part of an unread digest email
+    digestedAt: {
+      type: Date,
+    },
   },
   { timestamps: true }
 );
 
+messageSchema.index({ conversation: 1, createdAt: -1, _id: -1 });
+messageSchema.index({ receiver: 1, deliveredAt: 1 });
+messageSchema.index({ conversation: 1, receiver: 1, readAt: 1 });
+messageSchema.index({ readAt: 1, digestedAt: 1, createdAt: 1 });
+
+// Link messages saved before they carried a conversation id to the
+// conversation between their sender and receiver, run by
+// scripts/backfill-message-conversations.js
+messageSchema.statics.backfillConversation = async function () {
+  const unlinked = await this.exists({ conversation: null });
+  if (!unlinked) return;
+
+  // listing inquiries never had messages without a conversation id
+  for await (const conversation of Conversation.find({
+    listing: null,
+  }).cursor()) {
+    const { creatorId, participantId } = conversation;
+    await this.updateMany(
+      {
+        conversation: null,
+        $or: [
+          { sender: creatorId, receiver: participantId },
+          { sender: participantId, receiver: creatorId },
+        ],
+      },
+      { $set: { conversation: String(conversation._id) } }
+    );
+  }
+};
+
 const Message = mongoose.model("Messages", messageSchema);
 
 export default Message;
@@ -1,14 +1,40 @@
 import { mongoose } from "mongoose";
 
+export const NOTIFICATION_TYPES = [
+  "new_message",
+  "listing_inquiry",
+  "favorite",
+  "moderation",
+  "saved_search_match",
+];
+
 const notificationSchema = new mongoose.Schema(
   {
+    // notifications from before types existed have none
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+    },
     message: {
       type: String,
       required: true,
     },
+    // ids the client needs to open the thing the notification is about,
+    // e.g. { conversation, listing }
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // unread notifications with the same key are merged into one
+    groupKey: {
+      type: String,
+    },
+    count: {
+      type: Number,
+      default: 1,
+    },
     chatId: {
       type: String,
-      required: true,
     },
     from: {
       type: String,
@@ -18,9 +44,34 @@ const notificationSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    readAt: {
+      type: Date,
+      default: null,
+    },
   },
   { timestamps: true }
 );
 
+notificationSchema.index({ to: 1, createdAt: -1 });
+notificationSchema.index({ to: 1, readAt: 1, type: 1 });
+notificationSchema.index({ to: 1, groupKey: 1, readAt: 1 });
+
+// Unread notifications of a user, in total and per type
+notificationSchema.statics.unreadCounts = async function (userId) {
+  const rows = await this.aggregate([
+    { $match: { to: String(userId), readAt: null } },
+    { $group: { _id: "$type", count: { $sum: 1 } } },
+  ]);
+
+  const byType = {};
+  rows.forEach((row) => {
+    if (row._id) byType[row._id] = row.count;
+  });
+  return {
+    total: rows.reduce((sum, row) => sum + row.count, 0),
+    byType,
+  };
+};
+
 const Notification = mongoose.model("Notifications", notificationSchema);
 export default Notification;
@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+// Counter of the MongoDB rate limit store, one per limited key
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  // end of the current window
+  resetAt: {
+    type: Date,
+  },
+  // set by lockouts, independent of the window
+  blockedUntil: {
+    type: Date,
+  },
+  // whichever of resetAt / blockedUntil is later, MongoDB removes it then
+  expiresAt: {
+    type: Date,
+  },
+});
+
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.model("RateLimits", rateLimitSchema);
+
+export default RateLimit;
@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+
+export const REPORT_REASONS = [
+  "fraud",
+  "duplicate",
+  "misleading",
+  "inappropriate",
+  "other",
+];
+
+const reportSchema = new mongoose.Schema(
+  {
+    listing: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    reporter: {
+      type: String,
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: true,
+    },
+    comment: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: ["open", "dismissed", "actioned"],
+      default: "open",
+    },
+    resolvedBy: {
+      type: String,
+    },
+    resolvedAt: {
+      type: Date,
+    },
+    resolution: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+// one report per user per listing
+reportSchema.index({ listing: 1, reporter: 1 }, { unique: true });
+reportSchema.index({ status: 1, listing: 1 });
+
+// Close every open report on a listing
+reportSchema.statics.resolveForListing = function (
+  listingId,
+  { status = "actioned", resolvedBy, resolution }
+) {
+  return this.updateMany(
+    { listing: listingId, status: "open" },
+    {
+      $set: { status, resolvedBy, resolution, resolvedAt: new Date() },
+    }
+  );
+};
+
+const Report = mongoose.model("Reports", reportSchema);
+
+export default Report;
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+const savedSearchSchema = new mongoose.Schema(
+  {
+    user: {
+      type: String,
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    // getListingPost query params, see SAVED_SEARCH_PARAMS
+    params: {
+      type: Object,
+      default: {},
+    },
+    alerts: {
+      type: Boolean,
+      default: true,
+    },
+    // the digest lists matches published after this
+    lastCheckedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true, minimize: false }
+);
+
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ alerts: 1, "params.type": 1 });
+
+const SavedSearch = mongoose.model("SavedSearches", savedSearchSchema);
+
+export default SavedSearch;
@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+
+// One document per sign-in (a device). Its refresh token rotates on every
+// refresh, the previous ones are kept to recognise a stolen token that is
+// used again.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: String,
+      required: true,
+    },
+    // sha256 of the current refresh token
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    previousTokenHashes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+    userAgent: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    // signout, revoked, reuse_detected, password_reset, account_claimed, ...
+    revokedReason: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+// expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+sessionSchema.methods.revoke = function (reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+const Session = mongoose.model("Sessions", sessionSchema);
+
+export default Session;
@@ -0,0 +1,89 @@
+import mongoose from "mongoose";
+import { throwError } from "../utils/error.js";
+
+const uploadSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: String,
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: ["image", "document"],
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    originalName: {
+      type: String,
+    },
+    // storage driver the file was written with and its key there
+    driver: {
+      type: String,
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    thumbnailKey: {
+      type: String,
+    },
+    thumbnailUrl: {
+      type: String,
+    },
+    width: {
+      type: Number,
+    },
+    height: {
+      type: Number,
+    },
+  },
+  { timestamps: true }
+);
+
+uploadSchema.index({ owner: 1, createdAt: -1 });
+
+// Load uploads by id, failing unless every one exists, belongs to ownerId
+// and (optionally) is of the given kind. Keeps the order of `ids`.
+uploadSchema.statics.findOwned = async function (
+  ids = [],
+  ownerId,
+  { kind, field = "uploads" } = {}
+) {
+  const uploads = await this.find({
+    _id: { $in: ids },
+    owner: String(ownerId),
+  });
+  const byId = new Map(uploads.map((upload) => [String(upload._id), upload]));
+
+  const errors = [];
+  const ordered = ids.map((id, i) => {
+    const upload = byId.get(String(id));
+    if (!upload)
+      errors.push({ field: `${field}[${i}]`, message: "upload not found" });
+    else if (kind && upload.kind !== kind)
+      errors.push({
+        field: `${field}[${i}]`,
+        message: `must be a ${kind} upload`,
+      });
+    return upload;
+  });
+
+  if (errors.length) throw throwError(400, "Invalid uploads", errors);
+  return ordered;
+};
+
+const Upload = mongoose.model("Uploads", uploadSchema);
+
+export default Upload;
@@ -1,11 +1,27 @@
 import mongoose from "mongoose";
 
+// later roles include the permissions of earlier ones
+export const USER_ROLES = ["user", "moderator", "admin"];
+export const ACCOUNT_STATUSES = ["active", "suspended", "banned"];
+
+// kinds of email a user can turn off, welcome emails are always sent
+export const EMAIL_PREFERENCES = [
+  "inquiries",
+  "messageDigest",
+  "savedSearches",
+  "moderation",
+];
+
+export const hasRole = (userRole, role) =>
+  USER_ROLES.indexOf(userRole || "user") >= USER_ROLES.indexOf(role);
+
 const userSchema = new mongoose.Schema(
   {
+    // set for Clerk accounts and for email/password accounts linked to one
     clerkId: {
       type: String,
-      required: true,
       unique: true,
+      sparse: true,
     },
     firstName: {
       type: String,
@@ -25,19 +41,103 @@ const userSchema = new mongoose.Schema(
       required: true,
       unique: true,
     },
-    // password: {
-    //   type: String,
-    //   required: true,
-    // },
+    // OpenID Connect logins (e.g. Google), subject is the provider's `sub`
+    identities: {
+      type: [
+        {
+          _id: false,
+          provider: { type: String, required: true },
+          subject: { type: String, required: true },
+          linkedAt: { type: Date, default: Date.now },
+        },
+      ],
+      default: undefined,
+    },
+    // set by POST /api/auth/verify-email or a provider that verified it
+    emailVerifiedAt: {
+      type: Date,
+    },
+    // bcrypt hash, only email/password accounts have one
+    password: {
+      type: String,
+      select: false,
+    },
     avatar: {
       type: String,
       default:
         "https://thinksport.com.au/wp-content/uploads/2020/01/avatar-.jpg",
     },
+    role: {
+      type: String,
+      enum: USER_ROLES,
+      default: "user",
+    },
+    accountStatus: {
+      type: String,
+      enum: ACCOUNT_STATUSES,
+      default: "active",
+    },
+    // a suspension without an end date lasts until it is lifted
+    suspendedUntil: {
+      type: Date,
+    },
+    statusReason: {
+      type: String,
+    },
+    // saved when the user's last socket disconnects
+    lastSeen: {
+      type: Date,
+    },
+    emailPreferences: Object.fromEntries(
+      EMAIL_PREFERENCES.map((name) => [name, { type: Boolean, default: true }])
+    ),
   },
   { timestamps: true }
 );
 
+userSchema.methods.isBlocked = function () {
+  if (this.accountStatus === "banned") return true;
+  if (this.accountStatus !== "suspended") return false;
+  return !this.suspendedUntil || this.suspendedUntil > new Date();
+};
+
+// Clerk only hands out sessions for verified email addresses. Accounts from
+// before verification existed need scripts/migrate-email-verification.js
+userSchema.methods.isEmailVerified = function () {
+  return Boolean(this.emailVerifiedAt || this.clerkId);
+};
+
+// users saved before preferences existed get every email
+userSchema.methods.wantsEmail = function (category) {
+  return this.emailPreferences?.[category] !== false;
+};
+
+userSchema.statics.findByIdentity = function (provider, subject) {
+  return this.findOne({ identities: { $elemMatch: { provider, subject } } });
+};
+
+// What anyone can see of an account (GET /api/users/:id)
+userSchema.methods.toPublicProfile = function () {
+  const { _id, username, firstName, lastName, avatar, createdAt } = this;
+  return { _id, username, firstName, lastName, avatar, createdAt };
+};
+
+// What conversations keep as chatCreator / chatPartner
+userSchema.methods.toChatProfile = function () {
+  const { _id, username, email, firstName, lastName, avatar } = this;
+  return { _id: String(_id), username, email, firstName, lastName, avatar };
+};
+
+userSchema.index(
+  { "identities.provider": 1, "identities.subject": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "identities.provider": { $exists: true } },
+  }
+);
+userSchema.index({ role: 1 });
+userSchema.index({ accountStatus: 1 });
+
 const User = mongoose.model("User", userSchema);
 
 export default User;
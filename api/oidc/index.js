@@ -0,0 +1,30 @@
+import { createOidcProvider } from "./provider.js";
+
+const listOf = (value) =>
+  value ? value.split(",").map((item) => item.trim()) : [];
+
+// Providers users can sign in with, adding one is a config entry here.
+// <NAME>_JWKS_FILE replaces the JWKS download, e.g. on a host without
+// outbound access.
+const configs = {
+  google: () => ({
+    issuers: ["https://accounts.google.com", "accounts.google.com"],
+    audience: listOf(process.env.GOOGLE_CLIENT_ID),
+    jwksUri:
+      process.env.GOOGLE_JWKS_URI ||
+      "https://www.googleapis.com/oauth2/v3/certs",
+    jwksFile: process.env.GOOGLE_JWKS_FILE,
+  }),
+};
+
+const providers = new Map();
+
+export const getOidcProvider = (name) => {
+  if (providers.has(name)) return providers.get(name);
+  // own keys only, "constructor" or "__proto__" are not providers
+  if (!Object.hasOwn(configs, name)) return null;
+
+  const provider = createOidcProvider({ name, ...configs[name]() });
+  providers.set(name, provider);
+  return provider;
+};
@@ -0,0 +1,56 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+
+const DEFAULT_CACHE_MS = 60 * 60 * 1000;
+// an unknown kid triggers a refetch, but not more often than this
+const MIN_REFETCH_MS = 60 * 1000;
+
+const maxAgeOf = (response) => {
+  const match = /max-age=(\d+)/.exec(response.headers.get("cache-control"));
+  return match ? Number(match[1]) * 1000 : DEFAULT_CACHE_MS;
+};
+
+//===== Signing keys of an identity provider, by kid =====//
+// Keys come from `uri` (cached as long as the provider allows) or from a
+// local JWKS `file`, which makes offline tests possible.
+export const createKeySet = ({ uri, file }) => {
+  if (!uri && !file) throw new Error("A JWKS uri or file is required");
+
+  let keys = new Map();
+  let expiresAt = 0;
+  let fetchedAt = 0;
+
+  const load = async () => {
+    let jwks;
+    if (file) {
+      jwks = JSON.parse(await fs.readFile(file, "utf8"));
+      expiresAt = Infinity;
+    } else {
+      const response = await fetch(uri);
+      if (!response.ok)
+        throw new Error(`JWKS request failed with ${response.status}`);
+      jwks = await response.json();
+      expiresAt = Date.now() + maxAgeOf(response);
+    }
+    fetchedAt = Date.now();
+
+    keys = new Map(
+      (jwks.keys || [])
+        .filter((jwk) => jwk.kid && (!jwk.use || jwk.use === "sig"))
+        .map((jwk) => [
+          jwk.kid,
+          crypto.createPublicKey({ key: jwk, format: "jwk" }),
+        ])
+    );
+  };
+
+  return {
+    async getKey(kid) {
+      if (Date.now() >= expiresAt) await load();
+      // keys rotate, a kid we do not know yet may have been added since
+      if (!keys.has(kid) && !file && Date.now() - fetchedAt > MIN_REFETCH_MS)
+        await load();
+      return keys.get(kid);
+    },
+  };
+};
@@ -0,0 +1,44 @@
+import jwt from "jsonwebtoken";
+import { throwError } from "../utils/error.js";
+import { createKeySet } from "./jwks.js";
+
+//===== An OpenID Connect provider whose ID tokens we accept =====//
+// verifyIdToken checks the signature against the provider's JWKS, the
+// issuer, the audience (our client ids) and expiry, and returns the claims.
+export const createOidcProvider = ({
+  name,
+  issuers,
+  audience,
+  jwksUri,
+  jwksFile,
+  algorithms = ["RS256"],
+}) => {
+  const keySet = createKeySet({ uri: jwksUri, file: jwksFile });
+
+  return {
+    name,
+
+    async verifyIdToken(idToken) {
+      if (!audience?.length)
+        throw new Error(`${name} sign-in has no client id configured`);
+
+      const decoded = jwt.decode(idToken, { complete: true });
+      if (!decoded?.header?.kid) throw throwError(401, "Invalid ID token");
+
+      const key = await keySet.getKey(decoded.header.kid);
+      if (!key) throw throwError(401, "Invalid ID token");
+
+      try {
+        const claims = jwt.verify(idToken, key, {
+          algorithms,
+          audience,
+          issuer: issuers,
+        });
+        if (!claims.sub) throw new Error("sub is missing");
+        return claims;
+      } catch (err) {
+        throw throwError(401, `Invalid ID token: ${err.message}`);
+      }
+    },
+  };
+};
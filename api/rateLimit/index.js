@@ -0,0 +1,23 @@
+import { createMemoryStore } from "./memory.store.js";
+import { createMongoStore } from "./mongo.store.js";
+
+// Rate limit stores share one interface:
+//   hit(key, windowMs) -> { count, resetAt, blockedUntil }
+//   get(key) -> entry or null, block(key, until), reset(key)
+// Times are epoch ms. RATE_LIMIT_STORE picks one, memory is the default;
+// use mongo when more than one server process shares the limits.
+const stores = {
+  memory: createMemoryStore,
+  mongo: createMongoStore,
+};
+
+let store = null;
+
+export const getRateLimitStore = () => {
+  if (store) return store;
+
+  const name = process.env.RATE_LIMIT_STORE || "memory";
+  if (!stores[name]) throw new Error(`Unknown RATE_LIMIT_STORE "${name}"`);
+  store = stores[name]();
+  return store;
+};
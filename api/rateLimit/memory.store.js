@@ -0,0 +1,52 @@
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+//===== In-process store, counts are per server process =====//
+export const createMemoryStore = () => {
+  const entries = new Map();
+
+  const isLive = (entry, now) =>
+    entry && (entry.resetAt > now || entry.blockedUntil > now);
+
+  // drop finished windows so the map does not grow forever
+  setInterval(() => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (!isLive(entry, now)) entries.delete(key);
+    });
+  }, SWEEP_INTERVAL_MS).unref();
+
+  const read = (key, now) => {
+    const entry = entries.get(key);
+    return isLive(entry, now) ? entry : null;
+  };
+
+  return {
+    name: "memory",
+
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let entry = read(key, now) || { count: 0, resetAt: 0, blockedUntil: 0 };
+      if (entry.resetAt <= now) {
+        entry = { ...entry, count: 0, resetAt: now + windowMs };
+      }
+      entry.count += 1;
+      entries.set(key, entry);
+      return { ...entry };
+    },
+
+    async get(key) {
+      const entry = read(key, Date.now());
+      return entry ? { ...entry } : null;
+    },
+
+    async block(key, until) {
+      const now = Date.now();
+      const entry = read(key, now) || { count: 0, resetAt: 0 };
+      entries.set(key, { ...entry, blockedUntil: until });
+    },
+
+    async reset(key) {
+      entries.delete(key);
+    },
+  };
+};
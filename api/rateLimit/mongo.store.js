@@ -0,0 +1,79 @@
+import RateLimit from "../models/rateLimit.models.js";
+
+const toEntry = (doc) =>
+  doc && {
+    count: doc.count,
+    resetAt: doc.resetAt?.getTime() || 0,
+    blockedUntil: doc.blockedUntil?.getTime() || 0,
+  };
+
+//===== MongoDB store, shared by every server process =====//
+export const createMongoStore = () => ({
+  name: "mongo",
+
+  async hit(key, windowMs, retried = false) {
+    const now = new Date();
+    const isOpen = { $gt: ["$resetAt", now] };
+    try {
+      // one atomic update: start a new window or count into the open one
+      const doc = await RateLimit.findOneAndUpdate(
+        { key },
+        [
+          {
+            $set: {
+              count: { $cond: [isOpen, { $add: ["$count", 1] }, 1] },
+              resetAt: {
+                $cond: [isOpen, "$resetAt", new Date(now.getTime() + windowMs)],
+              },
+            },
+          },
+          {
+            $set: {
+              expiresAt: {
+                $max: ["$resetAt", { $ifNull: ["$blockedUntil", now] }],
+              },
+            },
+          },
+        ],
+        { upsert: true, new: true, lean: true }
+      );
+      return toEntry(doc);
+    } catch (error) {
+      // two first hits raced on the upsert, the second one can just retry
+      if (error.code === 11000 && !retried)
+        return this.hit(key, windowMs, true);
+      throw error;
+    }
+  },
+
+  async get(key) {
+    const doc = await RateLimit.findOne({ key }).lean();
+    const entry = toEntry(doc);
+    const now = Date.now();
+    return entry && (entry.resetAt > now || entry.blockedUntil > now)
+      ? entry
+      : null;
+  },
+
+  async block(key, until) {
+    const blockedUntil = new Date(until);
+    await RateLimit.updateOne(
+      { key },
+      [
+        {
+          $set: {
+            blockedUntil,
+            expiresAt: {
+              $max: [{ $ifNull: ["$resetAt", blockedUntil] }, blockedUntil],
+            },
+          },
+        },
+      ],
+      { upsert: true }
+    );
+  },
+
+  async reset(key) {
+    await RateLimit.deleteOne({ key });
+  },
+});
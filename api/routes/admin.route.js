@@ -0,0 +1,50 @@
+import express from "express";
+import {
+  dismissReport,
+  getReportQueue,
+  getJob,
+  getStats,
+  hidePost,
+  listJobs,
+  listUsers,
+  removePost,
+  retryDeadJob,
+  setUserRole,
+  setUserStatus,
+  unhidePost,
+} from "../controllers/admin.controller.js";
+import { requireRole, verifyToken } from "../utils/varifyUser.js";
+import {
+  validateModerationReason,
+  validateUserRole,
+  validateUserStatus,
+} from "../validators/admin.validator.js";
+
+const router = express.Router();
+
+// every admin route is staff only
+router.use(verifyToken, requireRole("moderator"));
+
+router.get("/users", listUsers);
+router.post("/users/:id/status", validateUserStatus, setUserStatus);
+router.post(
+  "/users/:id/role",
+  requireRole("admin"),
+  validateUserRole,
+  setUserRole
+);
+router.delete("/posts/:id", validateModerationReason, removePost);
+router.post("/posts/:id/hide", validateModerationReason, hidePost);
+router.post("/posts/:id/unhide", unhidePost);
+router.get("/reports", getReportQueue);
+router.post(
+  "/reports/:reportId/dismiss",
+  validateModerationReason,
+  dismissReport
+);
+router.get("/stats", getStats);
+router.get("/jobs", requireRole("admin"), listJobs);
+router.get("/jobs/:id", requireRole("admin"), getJob);
+router.post("/jobs/:id/retry", requireRole("admin"), retryDeadJob);
+
+export default router;
@@ -1,15 +1,73 @@
 import express from "express";
 import {
+  changePassword,
+  forgotPassword,
+  getSessions,
   googleSignIn,
+  linkClerk,
+  oidcSignIn,
+  refresh,
+  resendVerification,
+  resetPassword,
+  revokeSession,
   signOut,
   signin,
   singup,
+  verifyEmail,
 } from "../controllers/auth.controller.js";
+import { verifyToken } from "../utils/varifyUser.js";
+import { rateLimit } from "../utils/rateLimit.js";
+import {
+  validateChangePassword,
+  validateForgotPassword,
+  validateIdToken,
+  validateLinkClerk,
+  validateResetPassword,
+  validateSessionId,
+  validateSignin,
+  validateSignup,
+  validateVerifyEmail,
+} from "../validators/auth.validator.js";
 
 const route = express.Router();
 
-route.post("/signup", singup);
-route.post("/signin", signin);
-route.post("/google", googleSignIn);
+route.post("/signup", rateLimit("signup"), validateSignup, singup);
+route.post("/signin", rateLimit("signin"), validateSignin, signin);
+route.post("/google", rateLimit("signin"), validateIdToken, googleSignIn);
+route.post("/oidc/:provider", rateLimit("signin"), validateIdToken, oidcSignIn);
+route.post("/link-clerk", verifyToken, validateLinkClerk, linkClerk);
+route.post(
+  "/verify-email",
+  rateLimit("verification"),
+  validateVerifyEmail,
+  verifyEmail
+);
+route.post(
+  "/resend-verification",
+  verifyToken,
+  rateLimit("verification"),
+  resendVerification
+);
+route.post(
+  "/forgot-password",
+  rateLimit("passwordReset"),
+  validateForgotPassword,
+  forgotPassword
+);
+route.post(
+  "/reset-password",
+  rateLimit("passwordReset"),
+  validateResetPassword,
+  resetPassword
+);
+route.post(
+  "/change-password",
+  verifyToken,
+  validateChangePassword,
+  changePassword
+);
+route.post("/refresh", rateLimit("refresh"), refresh);
+route.get("/sessions", verifyToken, getSessions);
+route.delete("/sessions/:id", verifyToken, validateSessionId, revokeSession);
 route.get("/signout", signOut);
 export default route;
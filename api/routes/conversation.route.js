@@ -5,12 +5,18 @@ import {
   getConversation,
 } from "../controllers/conversation.controller.js";
 import { verifyToken } from "../utils/varifyUser.js";
+import { validateCreateConversation } from "../validators/conversation.validator.js";
 
 const router = express.Router();
 
 router.get("/:id", verifyToken, getConversation);
 
-router.post("/create", verifyToken, createConversation);
-router.delete("/delete/:chatId",  deleteConversation);
+router.post(
+  "/create",
+  verifyToken,
+  validateCreateConversation,
+  createConversation
+);
+router.delete("/delete/:chatId", verifyToken, deleteConversation);
 
 export default router;
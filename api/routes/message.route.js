@@ -1,11 +1,32 @@
 import express from "express";
-import { getMessage, postMessage } from "../controllers/message.controller.js";
+import {
+  deleteMessage,
+  editMessage,
+  getMessage,
+  markRead,
+  postMessage,
+} from "../controllers/message.controller.js";
 import { verifyToken } from "../utils/varifyUser.js";
+import { rateLimit } from "../utils/rateLimit.js";
+import {
+  validateEditMessage,
+  validateMarkRead,
+  validatePostMessage,
+} from "../validators/message.validator.js";
 
 const router = express.Router();
 
 router.get("/", verifyToken, getMessage);
 
-router.post("/create", verifyToken, postMessage);
+router.post(
+  "/create",
+  verifyToken,
+  rateLimit("messages"),
+  validatePostMessage,
+  postMessage
+);
+router.post("/read", verifyToken, validateMarkRead, markRead);
+router.post("/update/:id", verifyToken, validateEditMessage, editMessage);
+router.delete("/delete/:id", verifyToken, deleteMessage);
 
 export default router;
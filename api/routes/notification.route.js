@@ -1,15 +1,39 @@
 import express from "express";
 import {
-  createNotification,
   getNotification,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
   deleteNotification,
 } from "../controllers/notification.controller.js";
 import { verifyToken } from "../utils/varifyUser.js";
+import {
+  validateNotificationId,
+  validateReadAll,
+} from "../validators/notification.validator.js";
 
 const router = express.Router();
 
-router.post("/create", createNotification);
+// notifications are created on the server, see api/utils/notify.js
+router.get("/unread-count", verifyToken, getUnreadCount);
+router.post(
+  "/read-all",
+  verifyToken,
+  validateReadAll,
+  markAllNotificationsRead
+);
+router.post(
+  "/read/:id",
+  verifyToken,
+  validateNotificationId,
+  markNotificationRead
+);
 router.get("/:id", verifyToken, getNotification);
-router.delete("/delete/:id", deleteNotification);
+router.delete(
+  "/delete/:id",
+  verifyToken,
+  validateNotificationId,
+  deleteNotification
+);
 
 export default router;
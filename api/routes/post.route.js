@@ -1,20 +1,58 @@
 import express from "express";
-import { verifyToken } from "../utils/varifyUser.js";
+import {
+  optionalToken,
+  requireVerifiedEmail,
+  verifyToken,
+} from "../utils/varifyUser.js";
+import { rateLimit } from "../utils/rateLimit.js";
 import {
   createPost,
   deletePost,
   updatePost,
   singlePost,
   getListingPost,
+  suggestPosts,
+  updatePostStatus,
+  reportPost,
+  inquirePost,
 } from "../controllers/post.controller.js";
+import {
+  validateCreatePost,
+  validatePostStatus,
+  validateInquiry,
+  validateReportPost,
+  validateUpdatePost,
+} from "../validators/post.validator.js";
 
 const router = express.Router();
 
-router.post("/create", verifyToken, createPost);
+router.post(
+  "/create",
+  verifyToken,
+  requireVerifiedEmail,
+  rateLimit("listings"),
+  validateCreatePost,
+  createPost
+);
 router.delete("/delete/:id", verifyToken, deletePost);
-router.post("/update/:id", verifyToken, updatePost);
-router.get("/:id", singlePost);
-router.get("/", getListingPost);
+router.post("/update/:id", verifyToken, validateUpdatePost, updatePost);
+router.post(
+  "/:id/status",
+  verifyToken,
+  validatePostStatus,
+  updatePostStatus
+);
+router.post("/:id/report", verifyToken, validateReportPost, reportPost);
+router.post(
+  "/:id/inquire",
+  verifyToken,
+  rateLimit("inquiries"),
+  validateInquiry,
+  inquirePost
+);
+router.get("/suggest", suggestPosts);
+router.get("/:id", optionalToken, singlePost);
+router.get("/", optionalToken, getListingPost);
 
 
 export default router;
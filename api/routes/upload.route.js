@@ -0,0 +1,23 @@
+import express from "express";
+import {
+  createUploads,
+  deleteUpload,
+  getUpload,
+} from "../controllers/upload.controller.js";
+import { parseUploads } from "../utils/uploads.js";
+import { verifyToken } from "../utils/varifyUser.js";
+import { rateLimit } from "../utils/rateLimit.js";
+
+const router = express.Router();
+
+router.post(
+  "/",
+  verifyToken,
+  rateLimit("uploads"),
+  parseUploads,
+  createUploads
+);
+router.get("/:id", verifyToken, getUpload);
+router.delete("/:id", verifyToken, deleteUpload);
+
+export default router;
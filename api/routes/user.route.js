@@ -4,15 +4,54 @@ import {
   updateUser,
   getUser,
   userPosts,
+  getFavorites,
+  addFavorite,
+  removeFavorite,
+  getEmailPreferences,
+  updateEmailPreferences,
 } from "../controllers/user.controller.js";
-import { verifyToken } from "../utils/varifyUser.js";
+import {
+  createSavedSearch,
+  deleteSavedSearch,
+  getSavedSearchDigest,
+  getSavedSearches,
+} from "../controllers/savedSearch.controller.js";
+import { optionalToken, verifyToken } from "../utils/varifyUser.js";
+import {
+  validateEmailPreferences,
+  validateUpdateUser,
+} from "../validators/user.validator.js";
+import { validateCreateSavedSearch } from "../validators/savedSearch.validator.js";
 
 const router = express.Router();
 
-router.get("/:id",  getUser);
-router.post("/update/:id", verifyToken, updateUser);
+router.get("/:id", optionalToken, getUser);
+router.post("/update/:id", verifyToken, validateUpdateUser, updateUser);
 router.delete("/delete/:id", verifyToken, deleteUser);
 router.get("/posts/:id", verifyToken, userPosts);
+router.get("/:id/favorites", verifyToken, getFavorites);
+router.post("/:id/favorites/:postId", verifyToken, addFavorite);
+router.delete("/:id/favorites/:postId", verifyToken, removeFavorite);
+router.get("/:id/email-preferences", verifyToken, getEmailPreferences);
+router.post(
+  "/:id/email-preferences",
+  verifyToken,
+  validateEmailPreferences,
+  updateEmailPreferences
+);
+router.get("/:id/saved-searches", verifyToken, getSavedSearches);
+router.post(
+  "/:id/saved-searches",
+  verifyToken,
+  validateCreateSavedSearch,
+  createSavedSearch
+);
+router.get("/:id/saved-searches/digest", verifyToken, getSavedSearchDigest);
+router.delete(
+  "/:id/saved-searches/:searchId",
+  verifyToken,
+  deleteSavedSearch
+);
 
 
 
@@ -0,0 +1,120 @@
+import Conversation from "../models/conversation.models.js";
+import Message from "../models/message.models.js";
+import { throwError, toAppError } from "../utils/error.js";
+import { createChatMessage } from "../utils/messaging.js";
+import { consumeRateLimit, rateLimitError } from "../utils/rateLimit.js";
+import { chatRoom, emitToUser } from "../utils/socket.js";
+import { checkSchema } from "../utils/validate.js";
+import { recheckSession } from "../utils/varifyUser.js";
+import {
+  checkMessageContent,
+  messageSchema,
+} from "../validators/message.validator.js";
+
+// Answer through the ack callback when the client passed one
+const reply = (socket, ack, payload) => {
+  if (typeof ack === "function") return ack(payload);
+  if (!payload.success) socket.emit("socket_error", payload);
+};
+
+const fail = (socket, ack, error) => {
+  const appError = toAppError(error);
+  if (appError.statusCode >= 500) console.error(error);
+  reply(socket, ack, {
+    success: false,
+    code: appError.code,
+    message: appError.message,
+    ...(appError.errors && { errors: appError.errors }),
+    ...(appError.retryAfter && { retryAfter: appError.retryAfter }),
+  });
+};
+
+// Messages sent while the receiver was offline count as delivered once
+// they connect, each sender is told per conversation
+const deliverPending = async (userId) => {
+  const deliveredAt = new Date();
+  const pending = await Message.aggregate([
+    { $match: { receiver: userId, deliveredAt: null } },
+    {
+      $group: {
+        _id: { sender: "$sender", conversation: "$conversation" },
+        ids: { $push: "$_id" },
+      },
+    },
+  ]);
+  if (!pending.length) return;
+
+  await Message.updateMany(
+    { _id: { $in: pending.flatMap((group) => group.ids) } },
+    { $set: { deliveredAt } }
+  );
+  pending.forEach(({ _id, ids }) =>
+    emitToUser(_id.sender, "messages_delivered", {
+      chatId: _id.conversation,
+      receiverId: userId,
+      messageIds: ids,
+      deliveredAt,
+    })
+  );
+};
+
+//=======Messaging Feature Here ======//
+export const registerChatHandlers = (io, socket) => {
+  const userId = socket.data.user.id;
+
+  deliverPending(userId).catch((error) =>
+    console.error("❌ Error marking messages delivered:", error)
+  );
+
+  // only members of a conversation can join its room
+  socket.on("join_room", async (chatId, ack) => {
+    try {
+      const conversation = await Conversation.findForMember(chatId, userId);
+      if (!conversation)
+        return fail(socket, ack, throwError(404, "Chat not found"));
+
+      socket.join(chatRoom(conversation._id));
+      reply(socket, ack, { success: true });
+    } catch (error) {
+      fail(socket, ack, error);
+    }
+  });
+
+  socket.on("leave_room", (chatId) => {
+    socket.leave(chatRoom(chatId));
+  });
+
+  // the message is stored first and only then relayed to the two members
+  socket.on("send_message", async (data, ack) => {
+    try {
+      // the handshake may be long ago, the session or account may be gone
+      socket.data.user = await recheckSession(socket.data);
+    } catch (error) {
+      fail(socket, ack, error);
+      return socket.disconnect(true);
+    }
+
+    try {
+      // same budget as POST /api/message/create
+      const limit = await consumeRateLimit("messages", userId);
+      if (!limit.allowed) return fail(socket, ack, rateLimitError(limit));
+
+      const { value, errors } = checkSchema(messageSchema, data);
+      if (!errors.length) errors.push(...checkMessageContent(value));
+      if (errors.length)
+        return fail(socket, ack, throwError(400, "Invalid message", errors));
+
+      const conversation = await Conversation.findForMember(
+        value.chatId,
+        userId
+      );
+      if (!conversation)
+        return fail(socket, ack, throwError(404, "Chat not found"));
+
+      const message = await createChatMessage(conversation, userId, value);
+      reply(socket, ack, { success: true, data: message });
+    } catch (error) {
+      fail(socket, ack, error);
+    }
+  });
+};
@@ -0,0 +1,72 @@
+import Conversation from "../models/conversation.models.js";
+import User from "../models/user.models.js";
+import { chatRoom, emitToUser } from "../utils/socket.js";
+
+// userId -> number of connected sockets, so several tabs count as one
+// presence. Kept in memory, which assumes a single server process.
+const connections = new Map();
+
+export const isOnline = (userId) => connections.has(String(userId));
+
+// Tell everyone the user has a conversation with
+const broadcastPresence = async (userId, presence) => {
+  const conversations = await Conversation.find({
+    $or: [{ creatorId: userId }, { participantId: userId }],
+  }).select("creatorId participantId");
+
+  const partners = new Set(
+    conversations.map((conversation) => conversation.partnerOf(userId))
+  );
+  partners.forEach((partnerId) =>
+    emitToUser(partnerId, "presence", { userId, ...presence })
+  );
+};
+
+//=======Presence and typing ======//
+export const registerPresenceHandlers = (io, socket) => {
+  const userId = String(socket.data.user.id);
+
+  const count = (connections.get(userId) || 0) + 1;
+  connections.set(userId, count);
+  if (count === 1)
+    broadcastPresence(userId, { online: true }).catch((error) =>
+      console.error("❌ Error broadcasting presence:", error)
+    );
+
+  // typing is only relayed to rooms the socket joined through join_room
+  const relayTyping = (typing) => (chatId) => {
+    const room = chatRoom(chatId);
+    if (!socket.rooms.has(room)) return;
+    socket.to(room).emit("typing", { chatId, userId, typing });
+  };
+  socket.on("typing_start", relayTyping(true));
+  socket.on("typing_stop", relayTyping(false));
+
+  // rooms are still known while disconnecting, so pending typing is cleared
+  socket.on("disconnecting", () => {
+    socket.rooms.forEach((room) => {
+      if (room.startsWith(chatRoom("")))
+        socket.to(room).emit("typing", {
+          chatId: room.slice(chatRoom("").length),
+          userId,
+          typing: false,
+        });
+    });
+  });
+
+  socket.on("disconnect", async () => {
+    const remaining = (connections.get(userId) || 1) - 1;
+    if (remaining > 0) return connections.set(userId, remaining);
+    connections.delete(userId);
+
+    try {
+      const lastSeen = new Date();
+      await User.updateOne({ _id: userId }, { $set: { lastSeen } });
+      // the user may have reconnected while lastSeen was saved
+      if (!isOnline(userId))
+        await broadcastPresence(userId, { online: false, lastSeen });
+    } catch (error) {
+      console.error("❌ Error saving last seen:", error);
+    }
+  });
+};
@@ -0,0 +1,22 @@
+import { createLocalStorage } from "./local.storage.js";
+
+// Storage drivers share one interface:
+//   put(key, buffer, contentType) -> { url }
+//   remove(key)
+// STORAGE_DRIVER picks one, local disk is the default.
+const drivers = {
+  local: async () => createLocalStorage(),
+  // loaded on demand so the AWS SDK is only needed when it is used
+  s3: async () => (await import("./s3.storage.js")).createS3Storage(),
+};
+
+let storage = null;
+
+export const getStorage = async () => {
+  if (storage) return storage;
+
+  const name = process.env.STORAGE_DRIVER || "local";
+  if (!drivers[name]) throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+  storage = await drivers[name]();
+  return storage;
+};
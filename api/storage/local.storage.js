@@ -0,0 +1,33 @@
+import fs from "fs/promises";
+import path from "path";
+
+//===== Local disk driver, files are served by express.static =====//
+export const createLocalStorage = ({
+  directory = path.resolve(process.env.UPLOAD_DIR || "uploads"),
+  publicPath = "/uploads",
+} = {}) => {
+  // keys are generated by us, but never let one escape the directory
+  const resolve = (key) => {
+    const file = path.resolve(directory, key);
+    if (!file.startsWith(directory + path.sep))
+      throw new Error(`Invalid storage key: ${key}`);
+    return file;
+  };
+
+  return {
+    name: "local",
+    directory,
+    publicPath,
+
+    async put(key, body) {
+      const file = resolve(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, body);
+      return { url: `${publicPath}/${key}` };
+    },
+
+    async remove(key) {
+      await fs.rm(resolve(key), { force: true });
+    },
+  };
+};
@@ -0,0 +1,55 @@
+import {
+  DeleteObjectCommand,
+  PutObjectCommand,
+  S3Client,
+} from "@aws-sdk/client-s3";
+
+//===== S3 compatible driver (AWS, MinIO, R2, Spaces, ...) =====//
+export const createS3Storage = ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || "us-east-1",
+  endpoint = process.env.S3_ENDPOINT,
+  publicUrl = process.env.S3_PUBLIC_URL,
+} = {}) => {
+  if (!bucket) throw new Error("S3_BUCKET is not set");
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    // most self hosted S3 servers only support path style urls
+    forcePathStyle: Boolean(endpoint),
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        }
+      : undefined,
+  });
+
+  const baseUrl = (
+    publicUrl ||
+    (endpoint
+      ? `${endpoint}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`)
+  ).replace(/\/$/, "");
+
+  return {
+    name: "s3",
+
+    async put(key, body, contentType) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: body,
+          ContentType: contentType,
+        })
+      );
+      return { url: `${baseUrl}/${key}` };
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+};
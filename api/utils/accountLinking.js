@@ -0,0 +1,19 @@
+import { revokeAuthTokens } from "./authTokens.js";
+import { revokeUserSessions } from "./sessions.js";
+
+//===== Before a verified identity is linked to an account by email =====//
+// An account whose email was never verified may have been registered by
+// someone else with that address. Its password, sessions and emailed
+// links are dropped so only the owner of the verified identity keeps
+// access. The caller saves the user. Accounts from before verification
+// existed count as unverified until scripts/migrate-email-verification.js
+// has run.
+export const claimUnverifiedAccount = async (user) => {
+  if (user.isEmailVerified()) return user;
+
+  user.password = undefined;
+  user.emailVerifiedAt = new Date();
+  await revokeUserSessions(user._id, "account_claimed");
+  await revokeAuthTokens(user);
+  return user;
+};
@@ -0,0 +1,72 @@
+import jwt from "jsonwebtoken";
+import AuthToken from "../models/authToken.models.js";
+import { throwError } from "./error.js";
+
+export const AUTH_TOKEN_TTL_SECONDS = {
+  email_verification:
+    Number(process.env.EMAIL_VERIFICATION_TTL_HOURS || 24) * 60 * 60,
+  password_reset: Number(process.env.PASSWORD_RESET_TTL_MINUTES || 30) * 60,
+};
+
+// Use up the user's open tokens, of one purpose or of every purpose
+export const revokeAuthTokens = (user, purpose) =>
+  AuthToken.updateMany(
+    { user: String(user._id), usedAt: null, ...(purpose && { purpose }) },
+    { $set: { usedAt: new Date() } }
+  );
+
+//===== Signed, expiring, single-use token for an emailed link =====//
+// Issuing one invalidates the user's earlier tokens of the same purpose
+export const issueAuthToken = async (user, purpose) => {
+  const userId = String(user._id);
+  await revokeAuthTokens(user, purpose);
+
+  const record = await AuthToken.create({
+    user: userId,
+    purpose,
+    expiresAt: new Date(Date.now() + AUTH_TOKEN_TTL_SECONDS[purpose] * 1000),
+  });
+  return jwt.sign({ purpose }, process.env.JWT_SECRET, {
+    subject: userId,
+    jwtid: String(record._id),
+    expiresIn: AUTH_TOKEN_TTL_SECONDS[purpose],
+  });
+};
+
+const verifyAuthJwt = (token, purpose) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    throw throwError(400, "Invalid or expired link");
+  }
+  if (payload.purpose !== purpose || !payload.jti)
+    throw throwError(400, "Invalid or expired link");
+  return payload;
+};
+
+//===== Check a token without using it up, resolving to the user id =====//
+export const readAuthToken = async (token, purpose) => {
+  const payload = verifyAuthJwt(token, purpose);
+  const record = await AuthToken.findOne({
+    _id: payload.jti,
+    user: payload.sub,
+    purpose,
+    usedAt: null,
+  });
+  if (!record) throw throwError(400, "This link was already used");
+  return record.user;
+};
+
+//===== Check a token and use it up, resolving to the user id =====//
+export const consumeAuthToken = async (token, purpose) => {
+  const payload = verifyAuthJwt(token, purpose);
+
+  // atomic, so two requests with the same token can not both succeed
+  const record = await AuthToken.findOneAndUpdate(
+    { _id: payload.jti, user: payload.sub, purpose, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+  if (!record) throw throwError(400, "This link was already used");
+  return record.user;
+};
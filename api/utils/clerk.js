@@ -0,0 +1,94 @@
+import { clerkClient, verifyToken } from "@clerk/express";
+import User from "../models/user.models.js";
+import { throwError } from "./error.js";
+import { claimUnverifiedAccount } from "./accountLinking.js";
+
+const authorizedParties = process.env.CLERK_AUTHORIZED_PARTIES
+  ? process.env.CLERK_AUTHORIZED_PARTIES.split(",").map((party) => party.trim())
+  : undefined;
+
+// Clerk sessions can only be checked when Clerk is configured
+export const isClerkEnabled = () =>
+  Boolean(process.env.CLERK_JWT_KEY || process.env.CLERK_SECRET_KEY);
+
+//===== Verify a Clerk session token, resolving to its Clerk user id =====//
+// CLERK_JWT_KEY verifies without a network call, otherwise the JWKS is
+// fetched with CLERK_SECRET_KEY
+export const verifyClerkSession = async (tooken) => {
+  if (!isClerkEnabled()) throw throwError(401, "Invalid or expired session");
+
+  try {
+    const session = await verifyToken(tooken, {
+      jwtKey: process.env.CLERK_JWT_KEY,
+      secretKey: process.env.CLERK_SECRET_KEY,
+      authorizedParties,
+    });
+    return session.sub;
+  } catch (err) {
+    throw throwError(401, "Invalid or expired session");
+  }
+};
+
+// Verified primary email of a Clerk user, from the Backend API (camelCase)
+// or from a webhook payload (snake_case). Unverified addresses are never
+// used to find a local account.
+export const verifiedClerkEmail = (clerkUser) => {
+  const addresses = clerkUser.emailAddresses || clerkUser.email_addresses;
+  const primaryId =
+    clerkUser.primaryEmailAddressId || clerkUser.primary_email_address_id;
+  const primary = addresses?.find((email) => email.id === primaryId);
+  const address = primary?.emailAddress || primary?.email_address;
+  return address && primary.verification?.status === "verified"
+    ? address.toLowerCase()
+    : null;
+};
+
+//===== Link a Clerk user to the local account with its email, or create one =====//
+// Only a verified Clerk email is matched, and an account whose own email
+// was never verified is claimed first (see claimUnverifiedAccount). Used by
+// the user.created webhook and by findOrLinkClerkUser.
+export const linkOrCreateClerkUser = async (clerkId, profile) => {
+  const user = await User.findOne({ clerkId });
+  if (user) return { user, created: false };
+
+  const { email } = profile;
+  if (!email) throw throwError(401, "Verify your email address first");
+
+  const existing = await User.findOne({ email });
+  if (existing) {
+    if (existing.clerkId)
+      throw throwError(409, "Email is linked to another account");
+    await claimUnverifiedAccount(existing);
+    existing.clerkId = clerkId;
+    return { user: await existing.save(), created: false };
+  }
+
+  const created = await User.create({
+    clerkId,
+    email,
+    firstName: profile.firstName || "",
+    lastName: profile.lastName || "",
+    username: profile.username || `user_${clerkId.slice(-8)}`,
+    emailVerifiedAt: new Date(),
+    ...(profile.imageUrl && { avatar: profile.imageUrl }),
+  });
+  return { user: created, created: true };
+};
+
+//===== Local User for a Clerk user id =====//
+// Normally the user.created webhook made it already. If it has not run yet
+// the Clerk user is loaded from the API and linked or created.
+export const findOrLinkClerkUser = async (clerkId) => {
+  const user = await User.findOne({ clerkId });
+  if (user) return user;
+
+  const clerkUser = await clerkClient.users.getUser(clerkId);
+  const linked = await linkOrCreateClerkUser(clerkId, {
+    email: verifiedClerkEmail(clerkUser),
+    firstName: clerkUser.firstName,
+    lastName: clerkUser.lastName,
+    username: clerkUser.username,
+    imageUrl: clerkUser.imageUrl,
+  });
+  return linked.user;
+};
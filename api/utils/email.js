@@ -0,0 +1,71 @@
+import Email from "../models/email.models.js";
+import User from "../models/user.models.js";
+import { enqueueJob } from "../jobs/queue.js";
+import { getTransport } from "../mail/index.js";
+import { templates } from "../mail/templates.js";
+
+const MAIL_FROM =
+  process.env.MAIL_FROM || "Property Sell <no-reply@property-sell.app>";
+export const EMAIL_MAX_ATTEMPTS = Number(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+
+//===== Hand one outbox email to the transport =====//
+// Run by the email.send job, which retries it with backoff when this throws
+export const deliverEmail = async (email) => {
+  if (email.status === "sent") return email;
+
+  email.attempts += 1;
+  try {
+    const transport = await getTransport();
+    await transport.send({
+      from: MAIL_FROM,
+      to: email.to,
+      subject: email.subject,
+      text: email.text,
+      html: email.html,
+    });
+    email.status = "sent";
+    email.sentAt = new Date();
+    email.transport = transport.name;
+    email.lastError = undefined;
+    await email.save();
+    return email;
+  } catch (error) {
+    email.lastError = error.message;
+    await email.save();
+    throw error;
+  }
+};
+
+//===== Render a template for a user, store it and queue it =====//
+// `user` is a User document or id. Returns null when the user has no
+// address or turned this kind of email off.
+export const sendEmail = async (user, template, data = {}) => {
+  const definition = templates[template];
+  if (!definition) throw new Error(`Unknown email template "${template}"`);
+
+  const recipient =
+    user instanceof User ? user : await User.findById(String(user));
+  if (!recipient?.email) return null;
+  if (definition.category && !recipient.wantsEmail(definition.category))
+    return null;
+
+  const email = await Email.create({
+    user: String(recipient._id),
+    to: recipient.email,
+    template,
+    ...definition.render({ ...data, user: recipient }),
+  });
+  await enqueueJob(
+    "email.send",
+    { email: String(email._id) },
+    { maxAttempts: EMAIL_MAX_ATTEMPTS }
+  );
+  return email;
+};
+
+// Fire-and-forget variant so requests never wait on (or fail because of) mail
+export const queueEmail = (user, template, data) => {
+  sendEmail(user, template, data).catch((error) =>
+    console.error(`❌ Error sending ${template} email:`, error)
+  );
+};
@@ -1,6 +1,156 @@
-export const throwError = (statusCode, message) => {
-  const err = new Error();
-  err.statusCode = statusCode;
-  err.message = message;
-  return err;
+import http from "http";
+
+//======= Error classes with stable, machine readable codes =======//
+export class AppError extends Error {
+  constructor(
+    statusCode = 500,
+    message = "Internal Server Error",
+    options = {}
+  ) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = options.code || "INTERNAL_ERROR";
+    if (options.errors) this.errors = options.errors;
+  }
+}
+
+export class BadRequestError extends AppError {
+  constructor(message = "Bad Request", options = {}) {
+    super(400, message, { code: "BAD_REQUEST", ...options });
+  }
+}
+
+export class ValidationError extends AppError {
+  constructor(message = "Invalid request data", errors, options = {}) {
+    super(400, message, { code: "VALIDATION_ERROR", errors, ...options });
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = "Unauthorized", options = {}) {
+    super(401, message, { code: "UNAUTHORIZED", ...options });
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = "Forbidden", options = {}) {
+    super(403, message, { code: "FORBIDDEN", ...options });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = "Not Found", options = {}) {
+    super(404, message, { code: "NOT_FOUND", ...options });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = "Conflict", options = {}) {
+    super(409, message, { code: "CONFLICT", ...options });
+  }
+}
+
+// retryAfter is in seconds, sent as the Retry-After header
+export class TooManyRequestsError extends AppError {
+  constructor(message = "Too many requests", retryAfter, options = {}) {
+    super(429, message, { code: "RATE_LIMITED", ...options });
+    if (retryAfter) this.retryAfter = retryAfter;
+  }
+}
+
+// 413 -> PAYLOAD_TOO_LARGE, for statuses without an error class
+const codeForStatus = (statusCode) =>
+  (http.STATUS_CODES[statusCode] || "Error")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, "_");
+
+// throwError(status, message, errors) builds the matching error class,
+// which keeps every existing call site producing a coded error. A 400 is a
+// ValidationError when it comes with field errors, a BadRequestError if not.
+export const throwError = (statusCode, message, errors) => {
+  if (statusCode instanceof Error) return toAppError(statusCode);
+
+  switch (statusCode) {
+    case 400:
+      return errors?.length
+        ? new ValidationError(message, errors)
+        : new BadRequestError(message);
+    case 401:
+      return new UnauthorizedError(message);
+    case 403:
+      return new ForbiddenError(message);
+    case 404:
+      return new NotFoundError(message);
+    case 409:
+      return new ConflictError(message);
+    case 429:
+      return new TooManyRequestsError(message);
+    default:
+      return new AppError(statusCode, message, {
+        errors,
+        ...(statusCode < 500 && { code: codeForStatus(statusCode) }),
+      });
+  }
+};
+
+//======= Map mongoose / mongo driver errors onto AppError =======//
+export const toAppError = (err) => {
+  if (err instanceof AppError) return err;
+
+  if (err?.name === "ValidationError" && err.errors) {
+    const errors = Object.values(err.errors).map((fieldError) => ({
+      field: fieldError.path,
+      message: fieldError.message,
+    }));
+    return new ValidationError("Invalid request data", errors);
+  }
+
+  if (err?.name === "CastError") {
+    return new ValidationError(`Invalid ${err.path}`, [
+      { field: err.path, message: `must be a valid ${err.kind}` },
+    ]);
+  }
+
+  if (err?.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return new ConflictError(
+      fields.length ? `${fields.join(", ")} already exists` : "Duplicate value",
+      { errors: fields.map((field) => ({ field, message: "already exists" })) }
+    );
+  }
+
+  // multipart limits (file size, file count, unexpected field)
+  if (err?.name === "MulterError") {
+    return new ValidationError(err.message, [
+      { field: err.field || "files", message: err.message },
+    ]);
+  }
+
+  // JSON body that express.json() could not parse
+  if (err?.type === "entity.parse.failed") {
+    return new BadRequestError("Malformed JSON body");
+  }
+
+  if (Number.isInteger(err?.statusCode) || Number.isInteger(err?.status)) {
+    const statusCode = err.statusCode || err.status;
+    if (statusCode < 500) return throwError(statusCode, err.message);
+  }
+
+  return new AppError(500, "Internal Server Error");
+};
+
+//======= Express error handler, the error half of the envelope =======//
+export const errorHandler = (err, req, res, next) => {
+  const appError = toAppError(err);
+  if (appError.statusCode >= 500) console.error(err);
+  if (appError.retryAfter) res.set("Retry-After", String(appError.retryAfter));
+
+  return res.status(appError.statusCode).json({
+    success: false,
+    statusCode: appError.statusCode,
+    code: appError.code,
+    message: appError.message,
+    ...(appError.errors?.length && { errors: appError.errors }),
+  });
 };
@@ -12,3 +12,6 @@ export const usernameGenarator = (name) => {
 
   return userName;
 };
+
+export const escapeRegex = (text) =>
+  String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
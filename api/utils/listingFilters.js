@@ -0,0 +1,281 @@
+import { throwError } from "./error.js";
+import { escapeRegex } from "./helper.js";
+import { PUBLIC_LISTING_FILTER } from "../models/listing.models.js";
+
+const parseNumbers = (value, count, name) => {
+  const numbers = String(value)
+    .split(",")
+    .map((part) => Number(part.trim()));
+
+  if (numbers.length !== count || numbers.some((n) => !Number.isFinite(n)))
+    throw throwError(400, `Invalid ${name} parameter`);
+
+  return numbers;
+};
+
+const parseNumberParam = (params, name) => {
+  const value = params[name];
+  if (value === undefined || value === "") return undefined;
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0)
+    throw throwError(400, `${name} must be a non-negative number`);
+  return number;
+};
+
+const addRange = (filter, field, min, max) => {
+  if (min === undefined && max === undefined) return;
+  if (min !== undefined && max !== undefined && min > max)
+    throw throwError(400, `Invalid ${field} range`);
+
+  filter[field] = {};
+  if (min !== undefined) filter[field].$gte = min;
+  if (max !== undefined) filter[field].$lte = max;
+};
+
+// Sort orders accepted by getListingPost, _id keeps paging stable on ties
+export const LISTING_SORTS = {
+  price_asc: { effectivePrice: 1, _id: 1 },
+  price_desc: { effectivePrice: -1, _id: -1 },
+  newest: { createdAt: -1, _id: -1 },
+  area: { area: -1, _id: -1 },
+  relevance: { score: -1, _id: -1 },
+};
+
+export const parseSort = (value) => {
+  if (!value) return null;
+  if (!LISTING_SORTS[value])
+    throw throwError(
+      400,
+      `sort must be one of ${Object.keys(LISTING_SORTS).join(", ")}`
+    );
+  return LISTING_SORTS[value];
+};
+
+// $text gives quotes (phrases) and a leading "-" (negation) a meaning,
+// strip them so the search term is always treated as plain words
+const toTextSearch = (term) =>
+  term
+    .replace(/"/g, " ")
+    .replace(/(^|\s)-+/g, "$1")
+    .trim();
+
+const EARTH_RADIUS_KM = 6378.1;
+
+const isLongitude = (value) => value >= -180 && value <= 180;
+const isLatitude = (value) => value >= -90 && value <= 90;
+
+//===== near=<lng>,<lat> → GeoJSON point =====//
+export const parsePoint = (value) => {
+  const [lng, lat] = parseNumbers(value, 2, "near");
+  if (!isLongitude(lng) || !isLatitude(lat))
+    throw throwError(400, "near is out of range");
+
+  return { type: "Point", coordinates: [lng, lat] };
+};
+
+// Web maps (Web Mercator) stop here, it also keeps box corners off the poles
+const MAX_LATITUDE = 85.05112878;
+// GeoJSON edges are great-circle arcs, narrow pieces keep them close to
+// the parallels a map viewport is drawn with
+const MAX_PIECE_WIDTH = 90;
+
+const boxPolygon = (west, south, east, north) => [
+  [
+    [west, south],
+    [east, south],
+    [east, north],
+    [west, north],
+    [west, south],
+  ],
+];
+
+//===== bounds=<west>,<south>,<east>,<north> → GeoJSON (Multi)Polygon =====//
+// A viewport crossing the antimeridian has west > east. Wide boxes are cut
+// into narrow pieces, and a box covering the whole map gives null (any
+// listing with a location).
+export const parseBounds = (value) => {
+  const numbers = parseNumbers(value, 4, "bounds");
+  const [, south, , north] = numbers;
+  // ±180 is the same meridian, so 180,..,-180,.. spans the whole map too
+  const west = numbers[0] === 180 ? -180 : numbers[0];
+  const east = numbers[2] === -180 ? 180 : numbers[2];
+  if (
+    !isLongitude(west) ||
+    !isLongitude(east) ||
+    !isLatitude(south) ||
+    !isLatitude(north) ||
+    west === east ||
+    south >= north
+  )
+    throw throwError(400, "bounds is out of range");
+
+  const bottom = Math.max(south, -MAX_LATITUDE);
+  const top = Math.min(north, MAX_LATITUDE);
+  if (bottom >= top) throw throwError(400, "bounds is out of range");
+
+  const ranges =
+    west < east
+      ? [[west, east]]
+      : [
+          [west, 180],
+          [-180, east],
+        ];
+  const wholeWorld =
+    west === -180 &&
+    east === 180 &&
+    bottom === -MAX_LATITUDE &&
+    top === MAX_LATITUDE;
+  if (wholeWorld) return null;
+
+  const polygons = ranges.flatMap(([from, to]) => {
+    const pieces = Math.ceil((to - from) / MAX_PIECE_WIDTH);
+    const width = (to - from) / pieces;
+    return Array.from({ length: pieces }, (_, i) =>
+      boxPolygon(
+        from + i * width,
+        bottom,
+        i === pieces - 1 ? to : from + (i + 1) * width,
+        top
+      )
+    );
+  });
+
+  return polygons.length === 1
+    ? { type: "Polygon", coordinates: polygons[0] }
+    : { type: "MultiPolygon", coordinates: polygons };
+};
+
+// Translate the getListingPost query string into a mongo filter and sort.
+// `near` is returned separately because it has to run as a $geoNear stage.
+// A search term becomes a $text query sorted by relevance unless another
+// sort is asked for.
+export const buildListingFilter = (
+  params = {},
+  { viewerId, nearAsFilter = false } = {}
+) => {
+  const searchTerm = toTextSearch(String(params.searchTerm || ""));
+  const type = params.type || "";
+  const filter = {};
+
+  // drafts, archived and moderated posts are only listed for their owner
+  filter.$and = [
+    viewerId
+      ? { $or: [PUBLIC_LISTING_FILTER, { userRef: String(viewerId) }] }
+      : PUBLIC_LISTING_FILTER,
+  ];
+
+  if (type && type !== "all") {
+    filter.type = type;
+  }
+  if (params.offer === "true") {
+    filter.offer = true;
+  }
+  if (params.parking === "true") {
+    filter.parking = true;
+  }
+  if (params.furnished === "true") {
+    filter.furnished = true;
+  }
+
+  addRange(
+    filter,
+    "effectivePrice",
+    parseNumberParam(params, "minPrice"),
+    parseNumberParam(params, "maxPrice")
+  );
+  addRange(
+    filter,
+    "area",
+    parseNumberParam(params, "minArea"),
+    parseNumberParam(params, "maxArea")
+  );
+  addRange(filter, "bed", parseNumberParam(params, "minBed"));
+  addRange(filter, "bath", parseNumberParam(params, "minBath"));
+
+  if (params.bounds) {
+    const bounds = parseBounds(params.bounds);
+    filter.location = bounds
+      ? { $geoWithin: { $geometry: bounds } }
+      : { $exists: true };
+  }
+
+  let near = null;
+  if (params.near) {
+    near = { point: parsePoint(params.near) };
+
+    if (params.radius !== undefined && params.radius !== "") {
+      const radius = Number(params.radius);
+      if (!Number.isFinite(radius) || radius <= 0)
+        throw throwError(400, "radius must be a positive number of km");
+      near.maxDistance = radius * 1000;
+    }
+  }
+
+  // outside of getListingPost near/radius is a plain $geoWithin condition
+  if (near && nearAsFilter) {
+    if (near.maxDistance) {
+      const radians = near.maxDistance / 1000 / EARTH_RADIUS_KM;
+      filter.$and.push({
+        location: {
+          $geoWithin: { $centerSphere: [near.point.coordinates, radians] },
+        },
+      });
+    }
+    near = null;
+  }
+
+  let sort = parseSort(params.sort);
+  if (searchTerm) {
+    if (near) {
+      // $geoNear does not accept $text, match the escaped term instead
+      const pattern = { $regex: escapeRegex(searchTerm), $options: "i" };
+      filter.$or = [
+        { title: pattern },
+        { address: pattern },
+        { description: pattern },
+      ];
+    } else {
+      filter.$text = { $search: searchTerm };
+      sort = sort || LISTING_SORTS.relevance;
+    }
+  }
+  // relevance only exists for a $text search
+  if (sort === LISTING_SORTS.relevance && !filter.$text) sort = null;
+
+  return { filter, near, sort };
+};
+
+//===== Saved searches =====//
+export const SAVED_SEARCH_PARAMS = [
+  "searchTerm",
+  "type",
+  "offer",
+  "parking",
+  "furnished",
+  "minPrice",
+  "maxPrice",
+  "minArea",
+  "maxArea",
+  "minBed",
+  "minBath",
+  "near",
+  "radius",
+  "bounds",
+];
+
+// Keep only the getListingPost params a saved search can hold, as strings
+export const pickSearchParams = (source = {}) => {
+  const params = {};
+  SAVED_SEARCH_PARAMS.forEach((name) => {
+    const value = source[name];
+    if (value !== undefined && value !== null && value !== "")
+      params[name] = String(value);
+  });
+  return params;
+};
+
+// Filter for "does a published listing match these saved params", it can
+// be combined with _id or publishedAt since there is no $geoNear stage
+export const buildMatchFilter = (params = {}) =>
+  buildListingFilter(params, { nearAsFilter: true }).filter;
@@ -0,0 +1,50 @@
+import { getRateLimitStore } from "../rateLimit/index.js";
+import { TooManyRequestsError } from "./error.js";
+
+// Failed sign-ins are counted per account and per ip. Past the threshold
+// every further failure locks sign-in for twice as long as the last one.
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+const LOCKOUT_BASE_MS = (Number(process.env.LOCKOUT_BASE_SECONDS) || 60) * 1000;
+const LOCKOUT_MAX_MS = 24 * 60 * 60 * 1000;
+const THRESHOLDS = {
+  account: Number(process.env.LOCKOUT_ACCOUNT_THRESHOLD) || 5,
+  ip: Number(process.env.LOCKOUT_IP_THRESHOLD) || 20,
+};
+
+const keysOf = ({ email, ip }) => ({
+  account: `lockout:account:${String(email).toLowerCase()}`,
+  ip: `lockout:ip:${ip}`,
+});
+
+//===== Throw while the account or the ip is locked =====//
+export const assertNotLockedOut = async (attempt) => {
+  const store = getRateLimitStore();
+  const now = Date.now();
+  for (const key of Object.values(keysOf(attempt))) {
+    const entry = await store.get(key);
+    if (entry?.blockedUntil > now) {
+      const retryAfter = Math.ceil((entry.blockedUntil - now) / 1000);
+      throw new TooManyRequestsError(
+        `Too many failed sign-in attempts, try again in ${retryAfter} seconds`,
+        retryAfter
+      );
+    }
+  }
+};
+
+export const recordFailedLogin = async (attempt) => {
+  const store = getRateLimitStore();
+  const keys = keysOf(attempt);
+  for (const [scope, key] of Object.entries(keys)) {
+    const { count } = await store.hit(key, FAILURE_WINDOW_MS);
+    const over = count - THRESHOLDS[scope];
+    if (over >= 0) {
+      const lockMs = Math.min(LOCKOUT_BASE_MS * 2 ** over, LOCKOUT_MAX_MS);
+      await store.block(key, Date.now() + lockMs);
+    }
+  }
+};
+
+// a successful sign-in clears the account's failures, the ip keeps its own
+export const clearFailedLogins = (attempt) =>
+  getRateLimitStore().reset(keysOf(attempt).account);
@@ -0,0 +1,40 @@
+import Message from "../models/message.models.js";
+import { sendEmail } from "./email.js";
+
+// Messages still unread after this long end up in a digest email
+export const MESSAGE_DIGEST_DELAY_MS =
+  (Number(process.env.MESSAGE_DIGEST_DELAY_MINUTES) || 60) * 60 * 1000;
+
+//===== Email every user with unread messages a single summary =====//
+// A message is only ever part of one digest (digestedAt)
+export const sendUnreadDigests = async () => {
+  const digestedAt = new Date();
+  const pending = await Message.aggregate([
+    {
+      $match: {
+        readAt: null,
+        deletedAt: null,
+        digestedAt: null,
+        createdAt: { $lte: new Date(Date.now() - MESSAGE_DIGEST_DELAY_MS) },
+      },
+    },
+    {
+      $group: {
+        _id: "$receiver",
+        ids: { $push: "$_id" },
+        conversations: { $addToSet: "$conversation" },
+      },
+    },
+  ]);
+
+  let sent = 0;
+  for (const { _id: receiver, ids, conversations } of pending) {
+    const email = await sendEmail(receiver, "message_digest", {
+      count: ids.length,
+      conversations: conversations.length,
+    });
+    if (email) sent++;
+    await Message.updateMany({ _id: { $in: ids } }, { $set: { digestedAt } });
+  }
+  return sent;
+};
@@ -0,0 +1,76 @@
+import Message from "../models/message.models.js";
+import Upload from "../models/upload.models.js";
+import { isOnline } from "../sockets/presence.socket.js";
+import { queueNotification } from "./notify.js";
+import {
+  chatRoom,
+  emitToChat,
+  emitToRooms,
+  emitToUser,
+  userRoom,
+} from "./socket.js";
+
+// How long a sender can still edit a message
+export const MESSAGE_EDIT_WINDOW_MS =
+  (Number(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15) * 60 * 1000;
+
+// Push a message event to the open chat and to both members' own rooms,
+// which also reaches clients that are not looking at the conversation
+export const broadcastMessageEvent = (conversation, event, payload) =>
+  emitToRooms(
+    [
+      chatRoom(conversation._id),
+      userRoom(conversation.creatorId),
+      userRoom(conversation.participantId),
+    ],
+    event,
+    payload
+  );
+
+const preview = (text = "") =>
+  text.length > 100 ? `${text.slice(0, 97)}...` : text;
+
+//===== Store a message and relay it, used by REST and socket.io =====//
+// notificationType lets inquiries notify as listing_inquiry
+export const createChatMessage = async (
+  conversation,
+  senderId,
+  { message, attachment },
+  { notificationType = "new_message" } = {}
+) => {
+  // attachment is an upload id, which has to be the sender's own
+  const [upload] = attachment
+    ? await Upload.findOwned([attachment], senderId, { field: "attachment" })
+    : [];
+
+  const receiver = conversation.partnerOf(senderId);
+  const newMessage = await Message.create({
+    conversation: String(conversation._id),
+    sender: String(senderId),
+    receiver,
+    message,
+    attachment: upload?.url,
+    attachmentUpload: upload?._id,
+    // an online receiver gets the new_message push right away
+    deliveredAt: isOnline(receiver) ? new Date() : undefined,
+  });
+
+  emitToChat(conversation._id, "receive_message", newMessage);
+  emitToUser(receiver, "new_message", newMessage);
+  emitToUser(senderId, "new_message", newMessage);
+
+  // unread messages of one conversation share a single notification
+  queueNotification({
+    to: receiver,
+    from: senderId,
+    type: notificationType,
+    message: preview(message) || "Sent an attachment",
+    payload: {
+      conversation: String(conversation._id),
+      message: String(newMessage._id),
+      ...(conversation.listing && { listing: String(conversation.listing) }),
+    },
+    groupKey: `conversation:${conversation._id}`,
+  });
+  return newMessage;
+};
@@ -0,0 +1,73 @@
+import Report from "../models/report.models.js";
+import { queueEmail } from "./email.js";
+import { notifyUser } from "./notify.js";
+
+// Open reports that hide a listing until a moderator reviews it
+export const REPORT_AUTO_HIDE_THRESHOLD =
+  Number(process.env.REPORT_AUTO_HIDE_THRESHOLD) || 5;
+
+const SYSTEM = "system";
+
+export const notifyOwnerOfModeration = (listing, action, reason, by) => {
+  queueEmail(listing.userRef, "listing_moderation", {
+    listing,
+    action,
+    reason,
+  });
+  return notifyUser({
+    to: listing.userRef,
+    from: by || SYSTEM,
+    type: "moderation",
+    message: `Your listing "${listing.title}" was ${action}: ${reason}`,
+    payload: { listing: String(listing._id), action, reason },
+  });
+};
+
+//===== Hide a listing from everyone but its owner =====//
+// Auto-hides keep the reports open so the listing still shows in the queue
+export const hideListing = async (
+  listing,
+  { by, reason, resolveReports = true }
+) => {
+  listing.hiddenByModeration = true;
+  listing.moderationReason = reason;
+  await listing.save();
+
+  if (resolveReports)
+    await Report.resolveForListing(listing._id, {
+      resolvedBy: by,
+      resolution: `Hidden: ${reason}`,
+    });
+  await notifyOwnerOfModeration(listing, "hidden", reason, by);
+  return listing;
+};
+
+export const unhideListing = async (listing, { by }) => {
+  listing.hiddenByModeration = false;
+  listing.moderationReason = undefined;
+  await listing.save();
+  await notifyOwnerOfModeration(
+    listing,
+    "restored",
+    "reviewed by a moderator",
+    by
+  );
+  return listing;
+};
+
+//===== Called after each new report =====//
+export const checkReportThreshold = async (listing) => {
+  if (listing.hiddenByModeration) return false;
+
+  const openReports = await Report.countDocuments({
+    listing: listing._id,
+    status: "open",
+  });
+  if (openReports < REPORT_AUTO_HIDE_THRESHOLD) return false;
+
+  await hideListing(listing, {
+    reason: `reported by ${openReports} users, pending review`,
+    resolveReports: false,
+  });
+  return true;
+};
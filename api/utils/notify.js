@@ -0,0 +1,62 @@
+import Notification from "../models/notification.model.js";
+import { emitToUser } from "./socket.js";
+
+// Push the recipient's unread counts so every open tab stays in sync
+const pushUnreadCounts = async (userId) => {
+  emitToUser(
+    userId,
+    "notification_count",
+    await Notification.unreadCounts(userId)
+  );
+};
+
+//===== Store a notification and push it to the recipient's sockets =====//
+// With a groupKey an unread notification with the same key is updated
+// (count + 1, latest message and payload) instead of adding another one.
+export const notifyUser = async ({
+  to,
+  from,
+  type,
+  message,
+  payload = {},
+  groupKey,
+}) => {
+  // nobody is notified about their own actions
+  if (String(to) === String(from)) return null;
+
+  const fields = { type, message, payload, from: String(from) };
+  const notification = groupKey
+    ? await Notification.findOneAndUpdate(
+        { to: String(to), groupKey, readAt: null },
+        {
+          $set: fields,
+          $inc: { count: 1 },
+          $setOnInsert: { to: String(to), groupKey },
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      )
+    : await Notification.create({ ...fields, to: String(to) });
+
+  emitToUser(notification.to, "notification", notification);
+  await pushUnreadCounts(notification.to);
+  return notification;
+};
+
+//===== Mark a user's notifications matching `filter` as read =====//
+export const markNotificationsRead = async (userId, filter = {}) => {
+  const readAt = new Date();
+  const { modifiedCount } = await Notification.updateMany(
+    { ...filter, to: String(userId), readAt: null },
+    { $set: { readAt } }
+  );
+  if (modifiedCount) await pushUnreadCounts(userId);
+  return { marked: modifiedCount, readAt };
+};
+
+// Fire-and-forget variant for callers that should not fail on a
+// notification error, e.g. sending a chat message
+export const queueNotification = (notification) => {
+  notifyUser(notification).catch((error) =>
+    console.error("❌ Error sending notification:", error)
+  );
+};
@@ -0,0 +1,142 @@
+import mongoose from "mongoose";
+import { throwError } from "./error.js";
+
+const { EJSON } = mongoose.mongo.BSON;
+
+const MAX_PAGE_SIZE = Number(process.env.MAX_PAGE_SIZE) || 50;
+
+//===== Opaque cursors: the last item's sort keys, EJSON encoded =====//
+export const encodeCursor = (item, sort) => {
+  const values = Object.keys(sort).map((key) => item[key]);
+  return Buffer.from(EJSON.stringify(values)).toString("base64url");
+};
+
+// Sort key values a cursor may hold. Anything else (an object such as
+// {"$ne": null}) would turn into a query operator in afterCursor.
+const isCursorValue = (value) =>
+  value === null ||
+  ["string", "number", "boolean"].includes(typeof value) ||
+  value instanceof Date ||
+  value instanceof mongoose.Types.ObjectId;
+
+export const decodeCursor = (cursor, sort) => {
+  try {
+    const values = EJSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (
+      Array.isArray(values) &&
+      values.length === Object.keys(sort).length &&
+      values.every(isCursorValue)
+    )
+      return values;
+  } catch (error) {
+    // fall through to the 400 below
+  }
+  throw throwError(400, "Invalid cursor");
+};
+
+// Keyset condition matching every document that sorts after `values`
+const afterCursor = (sort, values) => {
+  const keys = Object.keys(sort);
+  return {
+    $or: keys.map((key, i) => {
+      const condition = {};
+      keys.slice(0, i).forEach((prev, j) => {
+        condition[prev] = values[j];
+      });
+      condition[key] = { [sort[key] > 0 ? "$gt" : "$lt"]: values[i] };
+      return condition;
+    }),
+  };
+};
+
+//===== Read page / pageSize (or limit) / cursor from the query string =====//
+export const parsePagination = (
+  query = {},
+  { defaultPageSize = 12, maxPageSize = MAX_PAGE_SIZE } = {}
+) => {
+  const page = parseInt(query.page) || 1;
+  const pageSize = parseInt(query.pageSize || query.limit) || defaultPageSize;
+
+  if (page < 1) throw throwError(400, "page must be 1 or more");
+  if (pageSize < 1) throw throwError(400, "pageSize must be 1 or more");
+
+  return {
+    page,
+    pageSize: Math.min(pageSize, maxPageSize),
+    cursor: query.cursor || null,
+  };
+};
+
+const toEnvelope = (rows, total, pagination, sort) => {
+  const hasMore = rows.length > pagination.pageSize;
+  const items = hasMore ? rows.slice(0, pagination.pageSize) : rows;
+
+  return {
+    items,
+    total,
+    page: pagination.cursor ? null : pagination.page,
+    pageSize: pagination.pageSize,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort) : null,
+  };
+};
+
+const pageStages = (pagination, sort) => {
+  if (pagination.cursor)
+    return [
+      { $match: afterCursor(sort, decodeCursor(pagination.cursor, sort)) },
+    ];
+  return [{ $skip: (pagination.page - 1) * pagination.pageSize }];
+};
+
+//===== Paginate a Model.find() =====//
+export const paginate = async (
+  Model,
+  filter,
+  { sort = { _id: 1 }, pagination, projection } = {}
+) => {
+  const pageFilter = pagination.cursor
+    ? {
+        $and: [
+          filter,
+          afterCursor(sort, decodeCursor(pagination.cursor, sort)),
+        ],
+      }
+    : filter;
+
+  const query = Model.find(pageFilter, projection)
+    .sort(sort)
+    .limit(pagination.pageSize + 1);
+  if (!pagination.cursor)
+    query.skip((pagination.page - 1) * pagination.pageSize);
+
+  const [total, rows] = await Promise.all([
+    Model.countDocuments(filter),
+    query,
+  ]);
+
+  return toEnvelope(rows, total, pagination, sort);
+};
+
+//===== Paginate an aggregation, `stages` run before sorting =====//
+export const paginateAggregate = async (
+  Model,
+  stages,
+  { sort = { _id: 1 }, pagination } = {}
+) => {
+  const [result] = await Model.aggregate([
+    ...stages,
+    {
+      $facet: {
+        rows: [
+          { $sort: sort },
+          ...pageStages(pagination, sort),
+          { $limit: pagination.pageSize + 1 },
+        ],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  return toEnvelope(result.rows, result.total[0]?.count || 0, pagination, sort);
+};
@@ -0,0 +1,56 @@
+// Password rules, configured with
+//   PASSWORD_MIN_LENGTH   (default 8)
+//   PASSWORD_REQUIRE      comma list of lowercase, uppercase, letter, digit,
+//                         symbol (default letter,digit)
+export const PASSWORD_MIN_LENGTH = Number(process.env.PASSWORD_MIN_LENGTH) || 8;
+export const PASSWORD_MAX_LENGTH = 128;
+
+const CHARACTER_CLASSES = {
+  lowercase: { pattern: /[a-z]/, message: "a lowercase letter" },
+  uppercase: { pattern: /[A-Z]/, message: "an uppercase letter" },
+  letter: { pattern: /[a-zA-Z]/, message: "a letter" },
+  digit: { pattern: /[0-9]/, message: "a number" },
+  symbol: { pattern: /[^a-zA-Z0-9]/, message: "a symbol" },
+};
+
+const required = (process.env.PASSWORD_REQUIRE || "letter,digit")
+  .split(",")
+  .map((name) => name.trim())
+  .filter(Boolean);
+
+required.forEach((name) => {
+  if (!CHARACTER_CLASSES[name])
+    throw new Error(`Unknown PASSWORD_REQUIRE class "${name}"`);
+});
+
+//===== Errors ({ field, message }) for a password that breaks the policy =====//
+export const checkPasswordPolicy = (
+  password,
+  { field = "password", email, username } = {}
+) => {
+  const errors = [];
+  if (typeof password !== "string") return errors;
+
+  if (password.length < PASSWORD_MIN_LENGTH)
+    errors.push({
+      field,
+      message: `must have at least ${PASSWORD_MIN_LENGTH} characters`,
+    });
+
+  required.forEach((name) => {
+    if (!CHARACTER_CLASSES[name].pattern.test(password))
+      errors.push({
+        field,
+        message: `must contain ${CHARACTER_CLASSES[name].message}`,
+      });
+  });
+
+  const lowered = password.toLowerCase();
+  const personal = [username, email?.split("@")[0]].filter(
+    (value) => value && value.length >= 3
+  );
+  if (personal.some((value) => lowered.includes(value.toLowerCase())))
+    errors.push({ field, message: "must not contain your username or email" });
+
+  return errors;
+};
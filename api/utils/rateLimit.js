@@ -0,0 +1,82 @@
+import { getRateLimitStore } from "../rateLimit/index.js";
+import { TooManyRequestsError } from "./error.js";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Per-route limits. Each can be overridden with
+// RATE_LIMIT_<NAME>=<max>/<window seconds>, e.g. RATE_LIMIT_SIGNIN=10/900
+const DEFAULT_LIMITS = {
+  signin: { max: 20, windowMs: 15 * MINUTE, by: "ip" },
+  signup: { max: 5, windowMs: HOUR, by: "ip" },
+  passwordReset: { max: 5, windowMs: HOUR, by: "ip" },
+  verification: { max: 10, windowMs: HOUR, by: "ip" },
+  refresh: { max: 60, windowMs: 15 * MINUTE, by: "ip" },
+  // shared by POST /api/message/create and the socket send_message event
+  messages: { max: 30, windowMs: MINUTE, by: "user" },
+  inquiries: { max: 10, windowMs: HOUR, by: "user" },
+  listings: { max: 10, windowMs: HOUR, by: "user" },
+  uploads: { max: 60, windowMs: HOUR, by: "user" },
+};
+
+const envName = (name) =>
+  `RATE_LIMIT_${name.replace(/[A-Z]/g, (c) => `_${c}`).toUpperCase()}`;
+
+export const RATE_LIMITS = Object.fromEntries(
+  Object.entries(DEFAULT_LIMITS).map(([name, limit]) => {
+    const [max, seconds] = (process.env[envName(name)] || "")
+      .split("/")
+      .map(Number);
+    return [
+      name,
+      {
+        ...limit,
+        ...(max > 0 && { max }),
+        ...(seconds > 0 && { windowMs: seconds * 1000 }),
+      },
+    ];
+  })
+);
+
+//===== Count one hit of `subject` (a user id or ip) against a limit =====//
+export const consumeRateLimit = async (name, subject) => {
+  const limit = RATE_LIMITS[name];
+  if (!limit) throw new Error(`Unknown rate limit "${name}"`);
+
+  const { count, resetAt } = await getRateLimitStore().hit(
+    `rl:${name}:${subject}`,
+    limit.windowMs
+  );
+  return {
+    limit: limit.max,
+    remaining: Math.max(limit.max - count, 0),
+    // seconds until the window ends
+    reset: Math.max(Math.ceil((resetAt - Date.now()) / 1000), 0),
+    allowed: count <= limit.max,
+  };
+};
+
+export const rateLimitError = (result) =>
+  new TooManyRequestsError(
+    `Too many requests, try again in ${result.reset} seconds`,
+    result.reset
+  );
+
+//===== Express middleware: rateLimit("signin") =====//
+// Limits by user for "user" limits (use after verifyToken), by ip otherwise
+export const rateLimit = (name) => async (req, res, next) => {
+  const subject =
+    RATE_LIMITS[name]?.by === "user" && req.user ? req.user.id : req.ip;
+  try {
+    const result = await consumeRateLimit(name, subject);
+    res.set({
+      "RateLimit-Limit": String(result.limit),
+      "RateLimit-Remaining": String(result.remaining),
+      "RateLimit-Reset": String(result.reset),
+    });
+    if (!result.allowed) return next(rateLimitError(result));
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,9 @@
+//======= Success half of the response envelope =======//
+// { success, statusCode, message?, data } mirrors the errorHandler shape
+export const sendSuccess = (res, statusCode, data = null, message) =>
+  res.status(statusCode).json({
+    success: true,
+    statusCode,
+    ...(message && { message }),
+    data,
+  });
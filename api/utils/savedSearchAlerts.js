@@ -0,0 +1,111 @@
+import Listing from "../models/listing.models.js";
+import Notification from "../models/notification.model.js";
+import SavedSearch from "../models/savedSearch.models.js";
+import { buildMatchFilter } from "./listingFilters.js";
+import { queueJob } from "../jobs/queue.js";
+import { queueEmail } from "./email.js";
+import { notifyUser } from "./notify.js";
+
+// saved searches checked against the listing in one round trip
+const MATCH_BATCH_SIZE = 100;
+
+const alertKey = (search, listing) =>
+  `saved_search:${search._id}:${listing._id}`;
+
+// Which of `searches` match the listing, with one $facet aggregation for the
+// batch. $text is not allowed inside $facet, so every distinct search term is
+// checked once on its own and the remaining filter goes into the facet.
+const findMatchingSearches = async (listing, searches) => {
+  const terms = new Map();
+  const facets = {};
+  const searchTerms = searches.map((search, index) => {
+    const { $text, ...filter } = buildMatchFilter(search.params);
+    if ($text) terms.set($text.$search, false);
+    facets[`s${index}`] = [{ $match: filter }, { $project: { _id: 1 } }];
+    return $text?.$search;
+  });
+
+  for (const term of terms.keys()) {
+    const isMatch = await Listing.exists({
+      _id: listing._id,
+      $text: { $search: term },
+    });
+    terms.set(term, Boolean(isMatch));
+  }
+
+  const [matches] = await Listing.aggregate([
+    { $match: { _id: listing._id } },
+    { $facet: facets },
+  ]);
+
+  return searches.filter((search, index) => {
+    const term = searchTerms[index];
+    if (term && !terms.get(term)) return false;
+    return matches[`s${index}`].length > 0;
+  });
+};
+
+// Notify and email the owners of the matching searches in a batch. Searches
+// that already have an alert for this listing are skipped so a retried job
+// does not notify (or email) anybody twice.
+const notifyBatch = async (listing, searches) => {
+  const matching = await findMatchingSearches(listing, searches);
+  if (!matching.length) return 0;
+
+  const alerted = new Set(
+    await Notification.distinct("groupKey", {
+      to: { $in: matching.map((search) => search.user) },
+      groupKey: { $in: matching.map((search) => alertKey(search, listing)) },
+    })
+  );
+
+  let notified = 0;
+  for (const search of matching) {
+    const groupKey = alertKey(search, listing);
+    if (alerted.has(groupKey)) continue;
+
+    await notifyUser({
+      message: `New listing "${listing.title}" matches your saved search "${search.name}"`,
+      from: listing.userRef,
+      to: search.user,
+      type: "saved_search_match",
+      payload: {
+        listing: String(listing._id),
+        savedSearch: String(search._id),
+      },
+      groupKey,
+    });
+    queueEmail(search.user, "saved_search_match", { listing, search });
+    notified++;
+  }
+  return notified;
+};
+
+//===== Notify users whose saved searches match a newly published post =====//
+export const notifySavedSearchMatches = async (listing) => {
+  if (listing.currentStatus !== "published" || listing.hiddenByModeration)
+    return 0;
+
+  // cheap pre-filter, the full filter is checked per batch below
+  const searches = SavedSearch.find({
+    alerts: true,
+    user: { $ne: String(listing.userRef) },
+    "params.type": { $in: [listing.type, "all", null] },
+  }).cursor();
+
+  let notified = 0;
+  let batch = [];
+  for await (const search of searches) {
+    batch.push(search);
+    if (batch.length < MATCH_BATCH_SIZE) continue;
+    notified += await notifyBatch(listing, batch);
+    batch = [];
+  }
+  if (batch.length) notified += await notifyBatch(listing, batch);
+  return notified;
+};
+
+// Run by the savedSearch.match job so publishing a post never waits on alerts
+export const queueSavedSearchMatches = (listing) => {
+  queueJob("savedSearch.match", { listing: String(listing._id) });
+};
@@ -0,0 +1,172 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import Session from "../models/session.models.js";
+import { throwError } from "./error.js";
+
+export const ACCESS_TOKEN_TTL_SECONDS =
+  Number(process.env.ACCESS_TOKEN_TTL_MINUTES || 15) * 60;
+export const REFRESH_TOKEN_TTL_MS =
+  Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30) * 24 * 60 * 60 * 1000;
+// rotated tokens remembered per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 50;
+// a token rotated away this recently is a concurrent refresh, not a reuse
+const REFRESH_RACE_WINDOW_MS = 10 * 1000;
+
+const REFRESH_COOKIE = "refresh_token";
+const cookieOptions = { httpOnly: true, secure: true, sameSite: "strict" };
+
+// socket.io subscribes to close the sockets of revoked sessions
+const revokedListeners = [];
+export const onSessionsRevoked = (listener) => revokedListeners.push(listener);
+const notifyRevoked = (sessionIds) =>
+  sessionIds.length &&
+  revokedListeners.forEach((listener) => listener(sessionIds.map(String)));
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// <session id>.<secret>, the id finds the session without a hash lookup
+const newRefreshToken = (sessionId) =>
+  `${sessionId}.${crypto.randomBytes(32).toString("base64url")}`;
+
+const sessionIdOf = (refreshToken) => {
+  const [sessionId] = String(refreshToken || "").split(".");
+  return /^[a-f0-9]{24}$/.test(sessionId) ? sessionId : null;
+};
+
+const signAccessToken = (session) =>
+  jwt.sign(
+    { id: session.user, sid: String(session._id) },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    }
+  );
+
+const setAuthCookies = (res, session, refreshToken) => {
+  res.cookie("access_token", signAccessToken(session), {
+    ...cookieOptions,
+    maxAge: ACCESS_TOKEN_TTL_SECONDS * 1000,
+  });
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...cookieOptions,
+    path: "/api/auth",
+    expires: session.expiresAt,
+  });
+};
+
+export const clearAuthCookies = (res) => {
+  res.clearCookie("access_token", cookieOptions);
+  res.clearCookie(REFRESH_COOKIE, { ...cookieOptions, path: "/api/auth" });
+};
+
+export const readRefreshToken = (req) =>
+  req.cookies?.[REFRESH_COOKIE] || req.body?.refreshToken;
+
+const deviceOf = (req) => ({
+  userAgent: req.headers["user-agent"]?.slice(0, 512),
+  ip: req.ip,
+});
+
+//===== Sign a user in: new session, access and refresh cookies =====//
+export const startSession = async (req, res, user) => {
+  const session = new Session({
+    user: String(user._id),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    ...deviceOf(req),
+  });
+  const refreshToken = newRefreshToken(session._id);
+  session.tokenHash = hashToken(refreshToken);
+  await session.save();
+
+  setAuthCookies(res, session, refreshToken);
+  return session;
+};
+
+//===== Exchange a refresh token for new tokens =====//
+// The swap is one atomic update that only matches the current token, so of
+// two requests with the same token exactly one wins. A token that was
+// already rotated away means it leaked: the session, and with it every
+// token of that family, is revoked. The exception is the token rotated
+// away moments ago, that is another tab refreshing at the same time.
+export const rotateSession = async (req, res, refreshToken) => {
+  const sessionId = sessionIdOf(refreshToken);
+  if (!sessionId) throw throwError(401, "Invalid refresh token");
+
+  const hash = hashToken(refreshToken);
+  const nextToken = newRefreshToken(sessionId);
+  const now = new Date();
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      tokenHash: hash,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    {
+      $set: {
+        tokenHash: hashToken(nextToken),
+        lastUsedAt: now,
+        ...deviceOf(req),
+      },
+      $push: {
+        previousTokenHashes: { $each: [hash], $slice: -MAX_PREVIOUS_TOKENS },
+      },
+    },
+    { new: true }
+  );
+  if (session) {
+    setAuthCookies(res, session, nextToken);
+    return session;
+  }
+
+  const stale = await Session.findById(sessionId).select(
+    "+previousTokenHashes"
+  );
+  if (!stale?.previousTokenHashes.includes(hash))
+    throw throwError(401, "Invalid refresh token");
+
+  const justRotated =
+    stale.previousTokenHashes[stale.previousTokenHashes.length - 1] === hash &&
+    now - stale.lastUsedAt < REFRESH_RACE_WINDOW_MS;
+  if (justRotated && stale.isActive())
+    throw throwError(409, "Session was refreshed by another request");
+
+  if (!stale.revokedAt) {
+    await stale.revoke("reuse_detected");
+    notifyRevoked([stale._id]);
+  }
+  throw throwError(401, "Refresh token reuse detected, sign in again");
+};
+
+//===== Sign out: revoke the session the refresh token belongs to =====//
+export const endSession = async (refreshToken) => {
+  const sessionId = sessionIdOf(refreshToken);
+  if (!sessionId) return;
+
+  const session = await Session.findById(sessionId);
+  if (session?.tokenHash === hashToken(refreshToken) && !session.revokedAt) {
+    await session.revoke("signout");
+    notifyRevoked([session._id]);
+  }
+};
+
+// Access tokens are only good while their session is
+export const isSessionActive = async (sessionId) => {
+  const session = await Session.findById(sessionId);
+  return Boolean(session?.isActive());
+};
+
+export const revokeUserSessions = async (userId, reason, filter = {}) => {
+  const sessionIds = await Session.distinct("_id", {
+    ...filter,
+    user: String(userId),
+    revokedAt: null,
+  });
+  const result = await Session.updateMany(
+    { _id: { $in: sessionIds }, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  notifyRevoked(sessionIds);
+  return result;
+};
@@ -0,0 +1,77 @@
+import { Server } from "socket.io";
+import { resolveSession } from "./varifyUser.js";
+import { onSessionsRevoked } from "./sessions.js";
+
+// The socket.io server lives here so controllers can push events without
+// importing index.js
+let io = null;
+
+export const userRoom = (userId) => `user:${userId}`;
+export const chatRoom = (chatId) => `chat:${chatId}`;
+// sockets signed in with our access_token, closed when it is revoked
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+const readCookie = (header = "", name) => {
+  const match = header
+    .split(";")
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : undefined;
+};
+
+//===== Handshake auth, same access_token as verifyToken =====//
+// Browsers send the cookie, other clients can pass { auth: { token } }
+const authenticateSocket = async (socket, next) => {
+  // a Clerk session token or our own access_token
+  const tooken =
+    socket.handshake.auth?.token ||
+    readCookie(socket.handshake.headers.cookie, "__session") ||
+    readCookie(socket.handshake.headers.cookie, "access_token");
+  try {
+    const { user, sessionId } = await resolveSession(tooken);
+    socket.data.user = user;
+    socket.data.sessionId = sessionId;
+    next();
+  } catch (error) {
+    const err = new Error(error.message);
+    err.data = { code: error.code, statusCode: error.statusCode };
+    next(err);
+  }
+};
+
+export const initSocket = (server, options) => {
+  io = new Server(server, options);
+  io.use(authenticateSocket);
+  io.on("connection", (socket) => {
+    // every socket of a user shares their room, used for server pushes
+    socket.join(userRoom(socket.data.user.id));
+    if (socket.data.sessionId) socket.join(sessionRoom(socket.data.sessionId));
+  });
+  onSessionsRevoked((sessionIds) =>
+    io.in(sessionIds.map(sessionRoom)).disconnectSockets(true)
+  );
+  return io;
+};
+
+// Close every socket of a user, e.g. once the account is blocked or deleted
+export const disconnectUser = (userId) => {
+  if (!io) return;
+  io.in(userRoom(userId)).disconnectSockets(true);
+};
+
+export const emitToUser = (userId, event, payload) => {
+  if (!io) return;
+  io.to(userRoom(userId)).emit(event, payload);
+};
+
+export const emitToChat = (chatId, event, payload) => {
+  if (!io) return;
+  io.to(chatRoom(chatId)).emit(event, payload);
+};
+
+// One emit to several rooms, a socket that is in more than one of them
+// still gets the event once
+export const emitToRooms = (rooms, event, payload) => {
+  if (!io) return;
+  io.to(rooms).emit(event, payload);
+};
@@ -0,0 +1,103 @@
+import crypto from "crypto";
+import multer from "multer";
+import sharp from "sharp";
+import Upload from "../models/upload.models.js";
+import { getStorage } from "../storage/index.js";
+import { throwError } from "./error.js";
+
+export const MAX_UPLOAD_SIZE =
+  (Number(process.env.MAX_UPLOAD_SIZE_MB) || 10) * 1024 * 1024;
+export const MAX_UPLOAD_FILES = 10;
+const THUMBNAIL_SIZE = 320;
+
+const ALLOWED_TYPES = {
+  "image/jpeg": { ext: "jpg", kind: "image" },
+  "image/png": { ext: "png", kind: "image" },
+  "image/webp": { ext: "webp", kind: "image" },
+  "image/gif": { ext: "gif", kind: "image" },
+  "application/pdf": { ext: "pdf", kind: "document" },
+};
+
+// The type is read from the file's first bytes, the client's
+// Content-Type is not trusted
+const sniffMimeType = (buffer) => {
+  const ascii = (start, end) => buffer.toString("latin1", start, end);
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff)
+    return "image/jpeg";
+  if (ascii(0, 8) === "\x89PNG\r\n\x1a\n") return "image/png";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "image/webp";
+  if (ascii(0, 6) === "GIF87a" || ascii(0, 6) === "GIF89a") return "image/gif";
+  if (ascii(0, 5) === "%PDF-") return "application/pdf";
+  return null;
+};
+
+//===== multipart parser, files are kept in memory until stored =====//
+export const parseUploads = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: MAX_UPLOAD_FILES },
+}).array("files", MAX_UPLOAD_FILES);
+
+const makeThumbnail = (buffer) =>
+  sharp(buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, {
+      fit: "inside",
+      withoutEnlargement: true,
+    })
+    .webp()
+    .toBuffer();
+
+//===== Check, store and record one multer file =====//
+export const saveUpload = async (file, ownerId) => {
+  const mimeType = sniffMimeType(file.buffer);
+  const type = ALLOWED_TYPES[mimeType];
+  if (!type)
+    throw throwError(400, `${file.originalname} is not an allowed file type`);
+
+  const storage = await getStorage();
+  const base = `${ownerId}/${crypto.randomUUID()}`;
+  const key = `${base}.${type.ext}`;
+  const { url } = await storage.put(key, file.buffer, mimeType);
+
+  const upload = {
+    owner: String(ownerId),
+    kind: type.kind,
+    mimeType,
+    size: file.size,
+    originalName: file.originalname,
+    driver: storage.name,
+    key,
+    url,
+  };
+
+  if (type.kind === "image") {
+    try {
+      const { width, height } = await sharp(file.buffer).metadata();
+      const thumbnailKey = `${base}.thumb.webp`;
+      const thumbnail = await storage.put(
+        thumbnailKey,
+        await makeThumbnail(file.buffer),
+        "image/webp"
+      );
+      Object.assign(upload, {
+        width,
+        height,
+        thumbnailKey,
+        thumbnailUrl: thumbnail.url,
+      });
+    } catch (error) {
+      // the magic bytes matched but the image itself is broken
+      await storage.remove(key);
+      throw throwError(400, `${file.originalname} is not a valid image`);
+    }
+  }
+
+  return Upload.create(upload);
+};
+
+export const removeUploadFiles = async (upload) => {
+  const storage = await getStorage();
+  await storage.remove(upload.key);
+  if (upload.thumbnailKey) await storage.remove(upload.thumbnailKey);
+};
@@ -0,0 +1,43 @@
+import Favorite from "../models/favorite.models.js";
+import Listing from "../models/listing.models.js";
+import Notification from "../models/notification.model.js";
+import SavedSearch from "../models/savedSearch.models.js";
+import Upload from "../models/upload.models.js";
+import { removeUploadFiles } from "./uploads.js";
+
+//===== Remove what a deleted user leaves behind =====//
+// Safe to run more than once. Conversations and messages stay, they still
+// belong to the other member.
+export const cleanupUserData = async (userId) => {
+  const user = String(userId);
+
+  const listings = await Listing.find({ userRef: user }).select("_id");
+  for (const listing of listings) {
+    await Listing.removeListing(listing._id);
+  }
+
+  const favorites = await Favorite.find({ user });
+  for (const favorite of favorites) {
+    await Listing.updateOne(
+      { _id: favorite.listing, favoritesCount: { $gt: 0 } },
+      { $inc: { favoritesCount: -1 } }
+    );
+    await favorite.deleteOne();
+  }
+
+  const uploads = await Upload.find({ owner: user });
+  for (const upload of uploads) {
+    await removeUploadFiles(upload);
+    await upload.deleteOne();
+  }
+
+  await SavedSearch.deleteMany({ user });
+  await Notification.deleteMany({ to: user });
+
+  console.log(`🧹 Cleaned up data for user: ${user}`);
+  return {
+    listings: listings.length,
+    favorites: favorites.length,
+    uploads: uploads.length,
+  };
+};
@@ -0,0 +1,134 @@
+import mongoose from "mongoose";
+import { throwError } from "./error.js";
+
+// A schema maps each accepted field to a rule:
+//   { type, required, min, max, minLength, maxLength, enum, pattern,
+//     patternMessage, trim, items, fields }
+// type is one of string | number | integer | boolean | objectId | array |
+// object | point. Fields that are not in the schema are dropped.
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const checkType = {
+  string: (value, rule) => {
+    if (typeof value !== "string") return undefined;
+    return rule.trim === false ? value : value.trim();
+  },
+  number: (value) => {
+    const number = typeof value === "string" ? Number(value) : value;
+    return typeof number === "number" && Number.isFinite(number)
+      ? number
+      : undefined;
+  },
+  integer: (value) => {
+    const number = checkType.number(value);
+    return Number.isInteger(number) ? number : undefined;
+  },
+  boolean: (value) => {
+    if (typeof value === "boolean") return value;
+    if (value === "true" || value === "false") return value === "true";
+    return undefined;
+  },
+  objectId: (value) =>
+    typeof value === "string" && mongoose.isObjectIdOrHexString(value)
+      ? value
+      : undefined,
+  array: (value) => (Array.isArray(value) ? value : undefined),
+  object: (value) => (isPlainObject(value) ? value : undefined),
+  point: (value) => {
+    const [lng, lat, ...rest] = value?.coordinates || [];
+    return value?.type === "Point" &&
+      rest.length === 0 &&
+      typeof lng === "number" &&
+      typeof lat === "number" &&
+      lng >= -180 &&
+      lng <= 180 &&
+      lat >= -90 &&
+      lat <= 90
+      ? { type: "Point", coordinates: [lng, lat] }
+      : undefined;
+  },
+};
+
+const typeMessage = {
+  integer: "must be an integer",
+  array: "must be an array",
+  object: "must be an object",
+  objectId: "must be a valid id",
+  point: "must be a GeoJSON Point with [longitude, latitude]",
+};
+
+const checkField = (rule, raw, field, errors) => {
+  const fail = (message) => {
+    errors.push({ field, message });
+    return undefined;
+  };
+
+  const value = checkType[rule.type](raw, rule);
+  if (value === undefined)
+    return fail(typeMessage[rule.type] || `must be a ${rule.type}`);
+  if (value === "" && rule.required) return fail("is required");
+
+  if (rule.enum && !rule.enum.includes(value))
+    return fail(`must be one of ${rule.enum.join(", ")}`);
+  if (rule.min !== undefined && value < rule.min)
+    return fail(`must be at least ${rule.min}`);
+  if (rule.max !== undefined && value > rule.max)
+    return fail(`must be at most ${rule.max}`);
+  if (rule.minLength !== undefined && value.length < rule.minLength)
+    return fail(`must have at least ${rule.minLength} characters or items`);
+  if (rule.maxLength !== undefined && value.length > rule.maxLength)
+    return fail(`must have at most ${rule.maxLength} characters or items`);
+  if (rule.pattern && !rule.pattern.test(value))
+    return fail(rule.patternMessage || "has an invalid format");
+
+  if (rule.items)
+    return value.map((item, i) =>
+      checkField(rule.items, item, `${field}[${i}]`, errors)
+    );
+  if (rule.fields)
+    return checkSchema(rule.fields, value, { prefix: `${field}.`, errors })
+      .value;
+  return value;
+};
+
+//===== Check `data` against `schema`, returning only the known fields =====//
+export const checkSchema = (
+  schema,
+  data = {},
+  { partial = false, prefix = "", errors = [] } = {}
+) => {
+  const value = {};
+  const source = isPlainObject(data) ? data : {};
+
+  Object.entries(schema).forEach(([name, rule]) => {
+    const field = prefix + name;
+    const raw = source[name];
+
+    if (raw === undefined || raw === null || raw === "") {
+      if (rule.required && !partial)
+        errors.push({ field, message: "is required" });
+      return;
+    }
+
+    const checked = checkField(rule, raw, field, errors);
+    if (checked !== undefined) value[name] = checked;
+  });
+
+  return { value, errors };
+};
+
+//===== Express middleware: validate and whitelist req[source] =====//
+export const validate =
+  (schema, { partial = false, source = "body", check } = {}) =>
+  (req, res, next) => {
+    const { value, errors } = checkSchema(schema, req[source], { partial });
+    if (!errors.length && check) errors.push(...check(value, req));
+
+    if (errors.length)
+      return next(throwError(400, "Invalid request data", errors));
+
+    req[source] = value;
+    next();
+  };
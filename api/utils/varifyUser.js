@@ -1,12 +1,105 @@
 import jwt from "jsonwebtoken";
 import { throwError } from "./error.js";
+import User, { hasRole } from "../models/user.models.js";
+import { findOrLinkClerkUser, verifyClerkSession } from "./clerk.js";
+import { isSessionActive } from "./sessions.js";
 
-export const verifyToken = (req, res, next) => {
-  const tooken = req.cookies.access_token;
-  if (!tooken) return next(throwError(401, "Session End. Login Again! "));
-  jwt.verify(tooken, process.env.JWT_SECRET, (err, user) => {
-    if (err) return next(throwError(403, "Frbidden"));
+// Clerk session tokens are RS256, our own access_token JWTs are HS256
+const isClerkToken = (tooken) =>
+  jwt.decode(tooken, { complete: true })?.header?.alg === "RS256";
+
+const loadLegacySession = async (tooken) => {
+  let payload;
+  try {
+    payload = jwt.verify(tooken, process.env.JWT_SECRET);
+  } catch (err) {
+    throw throwError(401, "Invalid or expired session");
+  }
+  // tokens from before sessions existed (no sid) can not be revoked
+  if (!payload.sid || !(await isSessionActive(payload.sid)))
+    throw throwError(401, "Session End. Login Again! ");
+
+  const user = await User.findById(payload.id);
+  if (!user) throw throwError(401, "Account no longer exists");
+  return { user, sessionId: payload.sid };
+};
+
+// Resolve a Clerk session token or our access_token to the local User
+// document (and our session id, Clerk manages its own sessions). The
+// account is re-checked every time so a suspension or ban takes effect
+// without waiting for the token to expire.
+export const resolveSession = async (tooken) => {
+  if (!tooken) throw throwError(401, "Session End. Login Again! ");
+
+  const session = isClerkToken(tooken)
+    ? { user: await findOrLinkClerkUser(await verifyClerkSession(tooken)) }
+    : await loadLegacySession(tooken);
+
+  if (session.user.isBlocked())
+    throw throwError(403, `Account ${session.user.accountStatus}`);
+  return session;
+};
+
+// when only the user is needed (optionalToken)
+export const resolveSessionUser = async (tooken) =>
+  (await resolveSession(tooken)).user;
+
+// Check again a session resolved earlier, for long lived sockets whose
+// token may have expired since: our session must still be active and the
+// account must still exist and not be blocked
+export const recheckSession = async ({ user, sessionId }) => {
+  if (sessionId && !(await isSessionActive(sessionId)))
+    throw throwError(401, "Session End. Login Again! ");
+
+  const current = await User.findById(user.id);
+  if (!current) throw throwError(401, "Account no longer exists");
+  if (current.isBlocked())
+    throw throwError(403, `Account ${current.accountStatus}`);
+  return current;
+};
+
+// Authorization: Bearer <token> (Clerk frontends), then Clerk's __session
+// cookie, then our own access_token cookie
+export const readSessionToken = (req) => {
+  const [scheme, bearer] = (req.headers.authorization || "").split(" ");
+  if (scheme === "Bearer" && bearer) return bearer;
+  return req.cookies?.__session || req.cookies?.access_token;
+};
+
+export const verifyToken = async (req, res, next) => {
+  try {
+    const { user, sessionId } = await resolveSession(readSessionToken(req));
     req.user = user;
+    req.sessionId = sessionId;
     next();
-  });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Like verifyToken, but anonymous requests (or bad tokens) pass through
+// without req.user
+export const optionalToken = async (req, res, next) => {
+  const tooken = readSessionToken(req);
+  if (!tooken) return next();
+  try {
+    req.user = await resolveSessionUser(tooken);
+  } catch (error) {
+    // treated as anonymous
+  }
+  next();
+};
+
+// Use after verifyToken, for actions that need a confirmed email address
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user?.isEmailVerified())
+    return next(throwError(403, "Verify your email address first"));
+  next();
+};
+
+// Use after verifyToken: requireRole("moderator") lets moderators and admins in
+export const requireRole = (role) => (req, res, next) => {
+  if (!hasRole(req.user?.role, role))
+    return next(throwError(403, "You do not have permission to do that"));
+  next();
 };
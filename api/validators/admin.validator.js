@@ -0,0 +1,29 @@
+import { validate } from "../utils/validate.js";
+import { ACCOUNT_STATUSES, USER_ROLES } from "../models/user.models.js";
+
+export const validateUserStatus = validate(
+  {
+    status: { type: "string", required: true, enum: ACCOUNT_STATUSES },
+    reason: { type: "string", maxLength: 500 },
+    until: { type: "string" },
+  },
+  {
+    check: ({ status, reason, until }) => {
+      const errors = [];
+      if (status !== "active" && !reason)
+        errors.push({ field: "reason", message: "is required" });
+      if (until && !(new Date(until) > new Date()))
+        errors.push({ field: "until", message: "must be a future date" });
+      return errors;
+    },
+  }
+);
+
+export const validateUserRole = validate({
+  role: { type: "string", required: true, enum: USER_ROLES },
+});
+
+// removing, hiding and dismissing all take a reason
+export const validateModerationReason = validate({
+  reason: { type: "string", required: true, maxLength: 500 },
+});
@@ -0,0 +1,76 @@
+import { validate } from "../utils/validate.js";
+import { checkPasswordPolicy } from "../utils/passwordPolicy.js";
+import { emailRule, passwordRule, usernameRule } from "./user.validator.js";
+
+export const validateSignup = validate(
+  {
+    username: { ...usernameRule, required: true },
+    email: { ...emailRule, required: true },
+    password: { ...passwordRule, required: true },
+  },
+  {
+    check: ({ password, email, username }) =>
+      checkPasswordPolicy(password, { email, username }),
+  }
+);
+
+export const validateSignin = validate({
+  email: { ...emailRule, required: true },
+  userPassword: { type: "string", trim: false, required: true },
+});
+
+// ID token from the provider's sign-in button (Google: `credential`)
+export const validateIdToken = validate({
+  idToken: { type: "string", trim: false, required: true, maxLength: 8192 },
+});
+
+export const validateLinkClerk = validate({
+  clerkToken: { type: "string", trim: false, required: true, maxLength: 4096 },
+});
+
+// a session id, or "all"
+export const validateSessionId = validate(
+  {
+    id: {
+      type: "string",
+      required: true,
+      pattern: /^([a-f0-9]{24}|all)$/,
+      patternMessage: "must be a session id or all",
+    },
+  },
+  { source: "params" }
+);
+
+export const validateForgotPassword = validate({
+  email: { ...emailRule, required: true },
+});
+
+const tokenRule = {
+  type: "string",
+  trim: false,
+  required: true,
+  maxLength: 2048,
+};
+
+// the password policy needs the account, resetPassword checks it
+export const validateResetPassword = validate({
+  token: tokenRule,
+  password: { ...passwordRule, required: true },
+});
+
+export const validateVerifyEmail = validate({ token: tokenRule });
+
+export const validateChangePassword = validate(
+  {
+    currentPassword: { type: "string", trim: false, required: true },
+    newPassword: { ...passwordRule, required: true },
+  },
+  {
+    check: ({ newPassword }, req) =>
+      checkPasswordPolicy(newPassword, {
+        field: "newPassword",
+        email: req.user.email,
+        username: req.user.username,
+      }),
+  }
+);
@@ -0,0 +1,30 @@
+import { validate } from "../utils/validate.js";
+
+const chatUser = {
+  type: "object",
+  required: true,
+  fields: {
+    _id: { type: "objectId" },
+    username: { type: "string", maxLength: 100 },
+    email: { type: "string", maxLength: 254 },
+    firstName: { type: "string", maxLength: 100 },
+    lastName: { type: "string", maxLength: 100 },
+    avatar: { type: "string", maxLength: 2048 },
+  },
+};
+
+export const validateCreateConversation = validate(
+  {
+    creatorId: { type: "objectId", required: true },
+    participantId: { type: "objectId", required: true },
+    chatPartner: chatUser,
+    chatCreator: chatUser,
+    listing: { type: "objectId" },
+  },
+  {
+    check: ({ creatorId, participantId }) =>
+      creatorId === participantId
+        ? [{ field: "participantId", message: "must differ from creatorId" }]
+        : [],
+  }
+);
@@ -0,0 +1,28 @@
+import { validate } from "../utils/validate.js";
+
+// body of POST /create and payload of the socket.io send_message event
+export const messageSchema = {
+  chatId: { type: "objectId", required: true },
+  message: { type: "string", maxLength: 5000 },
+  // upload id from POST /api/uploads
+  attachment: { type: "objectId" },
+};
+
+// a message needs text, an attachment or both
+export const checkMessageContent = ({ message, attachment }) =>
+  message || attachment
+    ? []
+    : [{ field: "message", message: "is required without an attachment" }];
+
+export const validateMarkRead = validate({
+  chatId: { type: "objectId", required: true },
+  messageId: { type: "objectId", required: true },
+});
+
+export const validatePostMessage = validate(messageSchema, {
+  check: checkMessageContent,
+});
+
+export const validateEditMessage = validate({
+  message: { type: "string", required: true, maxLength: 5000 },
+});
@@ -0,0 +1,12 @@
+import { NOTIFICATION_TYPES } from "../models/notification.model.js";
+import { validate } from "../utils/validate.js";
+
+export const validateNotificationId = validate(
+  { id: { type: "objectId", required: true } },
+  { source: "params" }
+);
+
+// mark-all-read can be narrowed down to one type
+export const validateReadAll = validate({
+  type: { type: "string", enum: NOTIFICATION_TYPES },
+});
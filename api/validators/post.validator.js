@@ -0,0 +1,64 @@
+import { validate } from "../utils/validate.js";
+import { LISTING_STATUSES } from "../models/listing.models.js";
+import { REPORT_REASONS } from "../models/report.models.js";
+
+const listingFields = {
+  title: { type: "string", required: true, minLength: 1, maxLength: 200 },
+  description: { type: "string", required: true, maxLength: 5000 },
+  address: { type: "string", required: true, maxLength: 300 },
+  location: { type: "point" },
+  area: { type: "number", required: true, min: 1 },
+  bath: { type: "integer", required: true, min: 0, max: 100 },
+  bed: { type: "integer", required: true, min: 0, max: 100 },
+  price: { type: "number", required: true, min: 0 },
+  discountPrice: { type: "number", min: 0 },
+  furnished: { type: "boolean", required: true },
+  parking: { type: "boolean", required: true },
+  type: { type: "string", required: true, enum: ["rent", "sale"] },
+  offer: { type: "boolean", required: true },
+  // upload ids from POST /api/uploads, imgUrl is filled in from them
+  images: {
+    type: "array",
+    required: true,
+    minLength: 1,
+    maxLength: 20,
+    items: { type: "objectId" },
+  },
+};
+
+// a discount only makes sense below the regular price
+const checkDiscount = (listing) =>
+  listing.discountPrice !== undefined &&
+  listing.price !== undefined &&
+  listing.discountPrice >= listing.price
+    ? [{ field: "discountPrice", message: "must be lower than price" }]
+    : [];
+
+export const validateCreatePost = validate(
+  {
+    ...listingFields,
+    userRef: { type: "objectId", required: true },
+    status: { type: "string", enum: ["draft", "published"] },
+  },
+  { check: checkDiscount }
+);
+
+// userRef is left out so a post can never change owner, and status so it
+// only changes through the status endpoint
+export const validateUpdatePost = validate(listingFields, {
+  partial: true,
+  check: checkDiscount,
+});
+
+export const validatePostStatus = validate({
+  status: { type: "string", required: true, enum: LISTING_STATUSES },
+});
+
+export const validateReportPost = validate({
+  reason: { type: "string", required: true, enum: REPORT_REASONS },
+  comment: { type: "string", maxLength: 1000 },
+});
+
+export const validateInquiry = validate({
+  message: { type: "string", required: true, maxLength: 5000 },
+});
@@ -0,0 +1,8 @@
+import { validate } from "../utils/validate.js";
+
+// params is narrowed to the getListingPost filters by the controller
+export const validateCreateSavedSearch = validate({
+  name: { type: "string", required: true, minLength: 1, maxLength: 100 },
+  params: { type: "object", required: true },
+  alerts: { type: "boolean" },
+});
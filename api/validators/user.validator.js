@@ -0,0 +1,41 @@
+import { EMAIL_PREFERENCES } from "../models/user.models.js";
+import { validate } from "../utils/validate.js";
+import { PASSWORD_MAX_LENGTH } from "../utils/passwordPolicy.js";
+
+export const usernameRule = {
+  type: "string",
+  minLength: 3,
+  maxLength: 30,
+  pattern: /^[a-zA-Z0-9_.]+$/,
+  patternMessage: "may only contain letters, numbers, dots and underscores",
+};
+
+export const emailRule = {
+  type: "string",
+  maxLength: 254,
+  pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  patternMessage: "must be a valid email address",
+};
+
+// length and character rules are checked by checkPasswordPolicy
+export const passwordRule = {
+  type: "string",
+  trim: false,
+  maxLength: PASSWORD_MAX_LENGTH,
+};
+
+export const validateUpdateUser = validate(
+  {
+    username: usernameRule,
+    email: emailRule,
+    avatar: { type: "string", maxLength: 2048 },
+  },
+  { partial: true }
+);
+
+export const validateEmailPreferences = validate(
+  Object.fromEntries(
+    EMAIL_PREFERENCES.map((name) => [name, { type: "boolean" }])
+  ),
+  { partial: true }
+);
@@ -9,20 +9,30 @@ import postRouter from "./api/routes/post.route.js";
 import messageRouter from "./api/routes/message.route.js";
 import conversationRoute from "./api/routes/conversation.route.js";
 import notificatonRoute from "./api/routes/notification.route.js";
+import adminRouter from "./api/routes/admin.route.js";
+import uploadRouter from "./api/routes/upload.route.js";
 import path from "path";
 import http from "http";
-import { Server } from "socket.io";
-import { Webhook } from "svix";
-import User from "./api/models/user.models.js";
+import { Webhook, WebhookVerificationError } from "svix";
+import { errorHandler, throwError } from "./api/utils/error.js";
+import { sendSuccess } from "./api/utils/response.js";
+import { initSocket } from "./api/utils/socket.js";
+import { registerChatHandlers } from "./api/sockets/chat.socket.js";
+import { registerPresenceHandlers } from "./api/sockets/presence.socket.js";
+import { enqueueJob, startWorker } from "./api/jobs/index.js";
 
 const app = express();
 
+// behind the hosting proxy req.ip (used by rate limits) comes from
+// X-Forwarded-For
+app.set("trust proxy", process.env.NODE_ENV === "production" ? 1 : false);
+
 // IMPORTANT: Set up the webhook route BEFORE other middleware
 // Enhanced Webhooks for User Management
 app.post(
   "/api/webhooks/clerk",
   express.raw({ type: "application/json" }),
-  async (req, res) => {
+  async (req, res, next) => {
     console.log("Webhook received");
 
     const payload = req.body;
@@ -37,7 +47,7 @@ app.post(
 
     if (!secret) {
       console.error("❌ CLERK_WEBHOOK_SECRET is not set");
-      return res.status(400).send("Webhook secret not configured");
+      return next(throwError(500, "Webhook secret not configured"));
     }
 
     try {
@@ -57,35 +67,21 @@ app.post(
       console.log("✅ Webhook verified successfully");
       console.log("Event type:", event.type);
 
-      // Handle different event types
-      switch (event.type) {
-        case "user.created":
-          console.log("Processing user.created event");
-          await handleUserCreated(event.data);
-          break;
-        case "user.updated":
-          console.log("Processing user.updated event");
-          await handleUserUpdated(event.data);
-          break;
-        case "user.deleted":
-          console.log("Processing user.deleted event");
-          await handleUserDeleted(event.data);
-          break;
-        default:
-          console.log(`Unhandled event type: ${event.type}`);
-      }
-
-      res
-        .status(200)
-        .json({ success: true, message: "Webhook processed successfully" });
+      // processed by the clerk.webhook job, svix-id makes redeliveries no-ops
+      await enqueueJob(
+        "clerk.webhook",
+        { type: event.type, data: event.data },
+        { uniqueKey: `svix:${headers["svix-id"]}` }
+      );
+
+      sendSuccess(res, 202, null, "Webhook queued for processing");
     } catch (err) {
+      // Svix errors are bad signatures, anything else (enqueueing) is ours
+      if (!(err instanceof WebhookVerificationError)) return next(err);
       console.error("❌ Webhook verification failed:", err.message);
-      console.error("Full error:", err);
-      return res.status(400).json({
-        success: false,
-        error: "Webhook verification failed",
-        message: err.message,
-      });
+      return next(
+        throwError(400, `Webhook verification failed: ${err.message}`)
+      );
     }
   }
 );
@@ -124,6 +120,12 @@ main().catch((err) => console.log(err));
 async function main() {
   await mongoose.connect(process.env.MONGO);
   console.log("Database connected");
+  // JOB_WORKER=standalone leaves the jobs to `npm run worker`, except the
+  // ones that push over socket.io, which only this process can do
+  startWorker({
+    hasSockets: true,
+    socketJobsOnly: process.env.JOB_WORKER === "standalone",
+  });
 }
 
 // Starting the server
@@ -132,169 +134,9 @@ expressServer.listen(PORT, () => {
 });
 
 app.use("/health", (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: "Server is running healthy",
-  });
+  sendSuccess(res, 200, null, "Server is running healthy");
 });
 
-// Handle User Creation - Simplified for existing auth system
-async function handleUserCreated(userData) {
-  try {
-    console.log("Creating user from Clerk data:", userData);
-
-    const {
-      id: clerkId,
-      email_addresses,
-      first_name,
-      last_name,
-      username,
-      image_url,
-    } = userData;
-
-    // Get primary email
-    const primaryEmail = email_addresses?.find(
-      (email) => email.id === userData.primary_email_address_id
-    );
-
-    const emailAddress =
-      primaryEmail?.email_address || email_addresses?.[0]?.email_address || "";
-
-    // Check if user already exists (to avoid duplicates)
-    const existingUser = await User.findOne({
-      $or: [{ clerkId }, { email: emailAddress }],
-    });
-
-    if (existingUser) {
-      // Update existing user with Clerk ID if missing
-      if (!existingUser.clerkId) {
-        existingUser.clerkId = clerkId;
-        await existingUser.save();
-        console.log(
-          `Updated existing user with Clerk ID: ${existingUser.email}`
-        );
-      } else {
-        console.log(`User already exists: ${existingUser.email}`);
-      }
-      return;
-    }
-
-    // Create new user from Clerk data
-    const newUser = new User({
-      clerkId,
-      email: emailAddress,
-      firstName: first_name || "",
-      lastName: last_name || "",
-      username: username || `user_${clerkId.slice(-8)}`,
-
-      // Add any other fields your existing User schema requires
-    });
-
-    await newUser.save();
-    console.log(`✅ New Clerk user created: ${newUser.email}`);
-
-    // Optional: Send welcome notification
-    await sendWelcomeNotification(newUser);
-  } catch (error) {
-    console.error("❌ Error creating Clerk user:", error);
-    throw error;
-  }
-}
-
-// Handle User Update
-async function handleUserUpdated(userData) {
-  try {
-    console.log("Updating user from Clerk data:", userData.id);
-
-    const {
-      id: clerkId,
-      email_addresses,
-      first_name,
-      last_name,
-      username,
-      image_url,
-    } = userData;
-
-    const primaryEmail = email_addresses?.find(
-      (email) => email.id === userData.primary_email_address_id
-    );
-
-    const emailAddress =
-      primaryEmail?.email_address || email_addresses?.[0]?.email_address || "";
-
-    const updatedUser = await User.findOneAndUpdate(
-      { clerkId },
-      {
-        $set: {
-          email: emailAddress,
-          firstName: first_name || "",
-          lastName: last_name || "",
-          username: username || "",
-          avatar: image_url || "",
-          updatedAt: new Date(),
-        },
-      },
-      { new: true, runValidators: true }
-    );
-
-    if (updatedUser) {
-      console.log(`✅ User updated successfully: ${updatedUser.email}`);
-    } else {
-      console.log(`❌ User not found for update: ${clerkId}`);
-    }
-  } catch (error) {
-    console.error("❌ Error updating user:", error);
-    throw error;
-  }
-}
-
-// Handle User Deletion
-async function handleUserDeleted(userData) {
-  try {
-    console.log("Deleting user from Clerk data:", userData.id);
-
-    const { id: clerkId } = userData;
-
-    const deletedUser = await User.findOneAndDelete({ clerkId });
-
-    if (deletedUser) {
-      console.log(`✅ User deleted successfully: ${deletedUser.email}`);
-
-      // Optional: Clean up user-related data
-      await cleanupUserData(clerkId);
-    } else {
-      console.log(`❌ User not found for deletion: ${clerkId}`);
-    }
-  } catch (error) {
-    console.error("❌ Error deleting user:", error);
-    throw error;
-  }
-}
-
-// Optional: Welcome notification function
-async function sendWelcomeNotification(user) {
-  try {
-    // Add your notification logic here
-    // This could be sending an email, creating a notification record, etc.
-    console.log(`📧 Sending welcome notification to ${user.email}`);
-  } catch (error) {
-    console.error("❌ Error sending welcome notification:", error);
-  }
-}
-
-// Optional: Cleanup function for user deletion
-async function cleanupUserData(clerkId) {
-  try {
-    // Clean up user-related data like posts, messages, etc.
-    // Example:
-    // await Post.deleteMany({ userId: clerkId });
-    // await Message.deleteMany({ senderId: clerkId });
-    console.log(`🧹 Cleaning up data for user: ${clerkId}`);
-  } catch (error) {
-    console.error("❌ Error cleaning up user data:", error);
-  }
-}
-
 // Routes
 app.use("/api/users", userRouter);
 app.use("/api/auth", auth);
@@ -302,6 +144,21 @@ app.use("/api/posts", postRouter);
 app.use("/api/message", messageRouter);
 app.use("/api/conversation", conversationRoute);
 app.use("/api/notification", notificatonRoute);
+app.use("/api/admin", adminRouter);
+app.use("/api/uploads", uploadRouter);
+
+// files written by the local storage driver
+if ((process.env.STORAGE_DRIVER || "local") === "local") {
+  app.use(
+    "/uploads",
+    express.static(path.resolve(process.env.UPLOAD_DIR || "uploads"))
+  );
+}
+
+// Unknown API routes
+app.use("/api", (req, res, next) => {
+  next(throwError(404, `Cannot ${req.method} ${req.originalUrl}`));
+});
 
 //============== Deployment==============//
 
@@ -322,20 +179,12 @@ if (process.env.NODE_ENV === "production") {
 //============== Deployment==============//
 
 // Handle middleware
-app.use((err, req, res, next) => {
-  const statusCode = err.statusCode || 500;
-  const message = err.message || "Internal Server Error";
-  return res.status(statusCode).json({
-    success: false,
-    statusCode,
-    message,
-  });
-});
+app.use(errorHandler);
 
 //----------------------------Handling Socket.io ------------------------------//
 
 //Handling CORS origin
-export const io = new Server(expressServer, {
+export const io = initSocket(expressServer, {
   cors: {
     origin: [
       "http://localhost:5173",
@@ -348,18 +197,14 @@ export const io = new Server(expressServer, {
   },
 });
 
+// sockets are authenticated in initSocket, socket.data.user is always set
 io.on("connection", (socket) => {
-  console.log(`socket connected with ${socket.id}`);
-
-  //=======Messaging Feature Here ======//
-  socket.on("join_room", (chatId) => {
-    socket.join(chatId);
-  });
+  console.log(
+    `socket connected with ${socket.id} for user ${socket.data.user.id}`
+  );
 
-  socket.on("send_message", (data) => {
-    socket.to(data.chatId).emit("receive_message", data);
-    socket.broadcast.emit(`${data.to}`, data);
-  });
+  registerChatHandlers(io, socket);
+  registerPresenceHandlers(io, socket);
 
   socket.on("disconnect", (data) => {
     console.log(`user disconnected successfully ${socket.id}`);
@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+import "dotenv/config";
+import Listing from "../api/models/listing.models.js";
+
+// Fill effectivePrice on listings saved before the field existed, price
+// filters and sorts skip listings without one. Run once after deploying it,
+// running it again only touches listings still missing the field.
+//
+//   node scripts/backfill-effective-price.js
+main()
+  .catch((err) => {
+    console.log(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
+
+async function main() {
+  await mongoose.connect(process.env.MONGO);
+  console.log("Database connected");
+
+  const { modifiedCount } = await Listing.backfillEffectivePrice();
+  console.log("Done", { updated: modifiedCount });
+}
@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+import "dotenv/config";
+import Message from "../api/models/message.models.js";
+
+// Link messages saved before they carried a conversation id to the
+// conversation between their sender and receiver. Run once after
+// deploying conversation ids, messages that match no conversation stay
+// unlinked.
+//
+//   node scripts/backfill-message-conversations.js
+main()
+  .catch((err) => {
+    console.log(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
+
+async function main() {
+  await mongoose.connect(process.env.MONGO);
+  console.log("Database connected");
+
+  await Message.backfillConversation();
+  const unlinked = await Message.countDocuments({ conversation: null });
+  console.log("Done", { unlinked });
+}
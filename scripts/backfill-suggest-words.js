@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+import "dotenv/config";
+import Listing from "../api/models/listing.models.js";
+
+// Fill titleWords/addressWords on listings saved before the fields existed,
+// search box suggestions skip listings without them. Run once after
+// deploying it, running it again only touches listings still missing them.
+//
+//   node scripts/backfill-suggest-words.js
+main()
+  .catch((err) => {
+    console.log(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
+
+async function main() {
+  await mongoose.connect(process.env.MONGO);
+  console.log("Database connected");
+
+  const updated = await Listing.backfillSuggestWords();
+  console.log("Done", { updated });
+}
@@ -0,0 +1,81 @@
+import mongoose from "mongoose";
+import "dotenv/config";
+import { clerkClient } from "@clerk/express";
+import User from "../api/models/user.models.js";
+import { verifiedClerkEmail } from "../api/utils/clerk.js";
+import { claimUnverifiedAccount } from "../api/utils/accountLinking.js";
+
+// Link every email/password account to a Clerk user. Accounts whose email
+// already exists (and is verified) in Clerk are linked to it, the rest are
+// created in Clerk with their bcrypt hash so people keep signing in with
+// the same password. Linking claims accounts whose email was never
+// verified, like a Clerk sign-in would.
+//
+//   node scripts/migrate-clerk-users.js [--dry-run]
+const dryRun = process.argv.includes("--dry-run");
+
+main()
+  .catch((err) => {
+    console.log(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
+
+async function main() {
+  await mongoose.connect(process.env.MONGO);
+  console.log("Database connected");
+
+  const users = User.find({ clerkId: { $exists: false } })
+    .select("+password")
+    .cursor();
+
+  const counts = { linked: 0, created: 0, skipped: 0, failed: 0 };
+  for await (const user of users) {
+    try {
+      const { data: found } = await clerkClient.users.getUserList({
+        emailAddress: [user.email],
+      });
+      const matches = found.filter(
+        (clerkUser) => verifiedClerkEmail(clerkUser) === user.email
+      );
+      if (found.length && !matches.length) {
+        counts.skipped++;
+        console.log(`${user.email}: not verified in Clerk, skipped`);
+        continue;
+      }
+
+      if (dryRun) {
+        console.log(
+          `${user.email}: would ${matches.length ? "link" : "create"}`
+        );
+        continue;
+      }
+
+      const clerkUser =
+        matches[0] ||
+        (await clerkClient.users.createUser({
+          externalId: String(user._id),
+          emailAddress: [user.email],
+          username: user.username,
+          firstName: user.firstName || undefined,
+          lastName: user.lastName || undefined,
+          ...(user.password && {
+            passwordDigest: user.password,
+            passwordHasher: "bcrypt",
+          }),
+          skipPasswordRequirement: !user.password,
+        }));
+
+      if (matches[0]) await claimUnverifiedAccount(user);
+      user.clerkId = clerkUser.id;
+      await user.save();
+      counts[matches[0] ? "linked" : "created"]++;
+      console.log(`✅ ${user.email} -> ${clerkUser.id}`);
+    } catch (error) {
+      counts.failed++;
+      console.error(`❌ ${user.email}:`, error.errors || error.message);
+    }
+  }
+
+  console.log("Done", counts);
+}
@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+import "dotenv/config";
+import User from "../api/models/user.models.js";
+
+// Decide email verification for accounts created before it existed. Until
+// this runs, those accounts have no emailVerifiedAt: they can not create
+// posts (requireVerifiedEmail), and the first Google or Clerk sign-in with
+// their email drops their password (claimUnverifiedAccount).
+//
+// Accounts created before --before get emailVerifiedAt = createdAt (or now
+// when they have none):
+//   - Google accounts, Google only hands out verified addresses
+//   - Clerk accounts, same for Clerk
+//   - email/password accounts, unless --only-providers is given (they then
+//     verify through POST /api/auth/resend-verification)
+//
+//   node scripts/migrate-email-verification.js --before=<deploy date> \
+//     [--only-providers] [--dry-run]
+const arg = (name) =>
+  process.argv.find((item) => item.startsWith(`--${name}=`))?.split("=")[1];
+const dryRun = process.argv.includes("--dry-run");
+const onlyProviders = process.argv.includes("--only-providers");
+const before = new Date(arg("before"));
+
+main()
+  .catch((err) => {
+    console.log(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
+
+async function main() {
+  if (Number.isNaN(before.getTime()))
+    throw new Error("--before=<date> is required, e.g. --before=2026-10-19");
+
+  await mongoose.connect(process.env.MONGO);
+  console.log("Database connected");
+
+  // very old documents may have no createdAt at all
+  const legacy = {
+    emailVerifiedAt: null,
+    $or: [{ createdAt: { $lt: before } }, { createdAt: null }],
+  };
+  const groups = {
+    google: { ...legacy, "identities.provider": "google" },
+    clerk: { ...legacy, clerkId: { $exists: true } },
+    password: {
+      ...legacy,
+      identities: { $exists: false },
+      clerkId: { $exists: false },
+    },
+  };
+  if (onlyProviders) delete groups.password;
+
+  const counts = {};
+  for (const [name, filter] of Object.entries(groups)) {
+    counts[name] = dryRun
+      ? await User.countDocuments(filter)
+      : (
+          await User.updateMany(filter, [
+            { $set: { emailVerifiedAt: { $ifNull: ["$createdAt", "$$NOW"] } } },
+          ])
+        ).modifiedCount;
+  }
+
+  console.log(dryRun ? "Would verify" : "Verified", counts);
+}
@@ -0,0 +1,84 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildListingFilter,
+  parseBounds,
+} from "../api/utils/listingFilters.js";
+
+const MAX_LATITUDE = 85.05112878;
+
+const rejectsBounds = (value) =>
+  assert.throws(() => parseBounds(value), {
+    statusCode: 400,
+    code: "BAD_REQUEST",
+  });
+
+// [west, east] of every polygon piece
+const longitudesOf = (geometry) =>
+  (geometry.type === "Polygon"
+    ? [geometry.coordinates]
+    : geometry.coordinates
+  ).map(([ring]) => [ring[0][0], ring[1][0]]);
+
+describe("parseBounds", () => {
+  it("returns a polygon for a small box", () => {
+    assert.deepEqual(parseBounds("10,20,30,40"), {
+      type: "Polygon",
+      coordinates: [
+        [
+          [10, 20],
+          [30, 20],
+          [30, 40],
+          [10, 40],
+          [10, 20],
+        ],
+      ],
+    });
+  });
+
+  it("splits a box crossing the antimeridian", () => {
+    const bounds = parseBounds("170,-10,-170,10");
+    assert.equal(bounds.type, "MultiPolygon");
+    assert.deepEqual(longitudesOf(bounds), [
+      [170, 180],
+      [-180, -170],
+    ]);
+  });
+
+  it("cuts wide boxes into pieces of at most 90 degrees", () => {
+    const bounds = parseBounds("-170,-10,170,10");
+    const pieces = longitudesOf(bounds);
+    assert.equal(pieces.length, 4);
+    pieces.forEach(([west, east]) => assert.ok(east - west <= 90));
+    assert.equal(pieces[0][0], -170);
+    assert.equal(pieces[pieces.length - 1][1], 170);
+  });
+
+  it("clamps latitudes to what web maps show", () => {
+    const [ring] = parseBounds("0,-90,10,90").coordinates;
+    assert.deepEqual(
+      [...new Set(ring.map(([, lat]) => lat))],
+      [-MAX_LATITUDE, MAX_LATITUDE]
+    );
+  });
+
+  it("returns null for the whole map", () => {
+    assert.equal(parseBounds("-180,-90,180,90"), null);
+    assert.equal(parseBounds("180,-90,-180,90"), null);
+  });
+
+  it("rejects malformed or out of range bounds", () => {
+    rejectsBounds("1,2,3");
+    rejectsBounds("a,b,c,d");
+    rejectsBounds("-190,0,10,10");
+    rejectsBounds("0,-95,10,10");
+    rejectsBounds("10,0,10,10");
+    rejectsBounds("0,10,10,0");
+    rejectsBounds("0,86,10,89");
+  });
+
+  it("matches any located listing when the bounds cover the whole map", () => {
+    const { filter } = buildListingFilter({ bounds: "-180,-90,180,90" });
+    assert.deepEqual(filter.location, { $exists: true });
+  });
+});
@@ -0,0 +1,90 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import jwt from "jsonwebtoken";
+import { createOidcProvider } from "../api/oidc/provider.js";
+
+const ISSUER = "https://issuer.example.com";
+const AUDIENCE = "client-id";
+const KID = "test-key";
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+const otherKey = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+}).privateKey;
+
+const signToken = (claims = {}, options = {}, key = privateKey) =>
+  jwt.sign({ sub: "user-1", email: "user@example.com", ...claims }, key, {
+    algorithm: "RS256",
+    keyid: KID,
+    issuer: ISSUER,
+    audience: AUDIENCE,
+    expiresIn: 60,
+    ...options,
+  });
+
+const rejectsWith401 = (promise) =>
+  assert.rejects(promise, { statusCode: 401, code: "UNAUTHORIZED" });
+
+describe("createOidcProvider", () => {
+  let dir;
+  let provider;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "oidc-test-"));
+    const jwksFile = path.join(dir, "jwks.json");
+    const jwk = {
+      ...publicKey.export({ format: "jwk" }),
+      kid: KID,
+      use: "sig",
+    };
+    await fs.writeFile(jwksFile, JSON.stringify({ keys: [jwk] }));
+
+    provider = createOidcProvider({
+      name: "test",
+      issuers: [ISSUER],
+      audience: [AUDIENCE],
+      jwksFile,
+    });
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it("returns the claims of a valid token", async () => {
+    const claims = await provider.verifyIdToken(signToken());
+    assert.equal(claims.sub, "user-1");
+    assert.equal(claims.email, "user@example.com");
+  });
+
+  it("rejects a token signed with another key", () =>
+    rejectsWith401(provider.verifyIdToken(signToken({}, {}, otherKey))));
+
+  it("rejects a token for another audience", () =>
+    rejectsWith401(
+      provider.verifyIdToken(signToken({}, { audience: "other-client" }))
+    ));
+
+  it("rejects a token from another issuer", () =>
+    rejectsWith401(
+      provider.verifyIdToken(
+        signToken({}, { issuer: "https://evil.example.com" })
+      )
+    ));
+
+  it("rejects an expired token", () =>
+    rejectsWith401(provider.verifyIdToken(signToken({}, { expiresIn: -60 }))));
+
+  it("rejects a token with an unknown kid", () =>
+    rejectsWith401(provider.verifyIdToken(signToken({}, { keyid: "other" }))));
+
+  it("rejects a token without a subject", () =>
+    rejectsWith401(provider.verifyIdToken(signToken({ sub: undefined }))));
+
+  it("rejects a token that is not a JWT", () =>
+    rejectsWith401(provider.verifyIdToken("not-a-token")));
+});
@@ -0,0 +1,56 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { decodeCursor, encodeCursor } from "../api/utils/pagination.js";
+
+const { EJSON } = mongoose.mongo.BSON;
+
+const SORT = { createdAt: -1, _id: -1 };
+
+const cursorOf = (values) =>
+  Buffer.from(EJSON.stringify(values)).toString("base64url");
+
+const rejectsCursor = (cursor, sort = SORT) =>
+  assert.throws(() => decodeCursor(cursor, sort), {
+    statusCode: 400,
+    code: "BAD_REQUEST",
+    message: "Invalid cursor",
+  });
+
+describe("decodeCursor", () => {
+  it("reads back the sort values of an encoded cursor", () => {
+    const item = {
+      createdAt: new Date("2024-05-01T10:00:00Z"),
+      _id: new mongoose.Types.ObjectId(),
+    };
+    const [createdAt, id] = decodeCursor(encodeCursor(item, SORT), SORT);
+    assert.deepEqual(createdAt, item.createdAt);
+    assert.ok(id instanceof mongoose.Types.ObjectId);
+    assert.ok(id.equals(item._id));
+  });
+
+  it("accepts scalar values and null", () => {
+    const sort = { price: 1, title: 1, offer: 1, area: 1 };
+    assert.deepEqual(decodeCursor(cursorOf([10, "flat", true, null]), sort), [
+      10,
+      "flat",
+      true,
+      null,
+    ]);
+  });
+
+  it("rejects a cursor that is not base64 EJSON", () => {
+    rejectsCursor("not a cursor");
+    rejectsCursor(Buffer.from("{").toString("base64url"));
+  });
+
+  it("rejects a cursor for another sort", () => {
+    rejectsCursor(cursorOf([new Date()]));
+    rejectsCursor(cursorOf({ createdAt: 1, _id: 2 }));
+  });
+
+  it("rejects query operators hidden in a cursor", () => {
+    rejectsCursor(cursorOf([{ $ne: null }, { $gt: "" }]));
+    rejectsCursor(cursorOf([[1], 2]));
+  });
+});
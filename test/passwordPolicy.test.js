@@ -0,0 +1,57 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// the policy is read from the environment when the module loads
+process.env.PASSWORD_MIN_LENGTH = "8";
+process.env.PASSWORD_REQUIRE = "letter,digit";
+const { checkPasswordPolicy } = await import("../api/utils/passwordPolicy.js");
+
+const messagesOf = (errors) => errors.map((error) => error.message);
+
+describe("checkPasswordPolicy", () => {
+  it("accepts a password that follows the policy", () => {
+    assert.deepEqual(checkPasswordPolicy("correct horse 42"), []);
+  });
+
+  it("requires the minimum length", () => {
+    assert.deepEqual(messagesOf(checkPasswordPolicy("abc12")), [
+      "must have at least 8 characters",
+    ]);
+  });
+
+  it("requires every configured character class", () => {
+    assert.deepEqual(messagesOf(checkPasswordPolicy("abcdefghij")), [
+      "must contain a number",
+    ]);
+    assert.deepEqual(messagesOf(checkPasswordPolicy("1234567890")), [
+      "must contain a letter",
+    ]);
+  });
+
+  it("rejects passwords containing the username or email", () => {
+    const message = "must not contain your username or email";
+    assert.deepEqual(
+      messagesOf(checkPasswordPolicy("xxJaneDoe99", { username: "janedoe" })),
+      [message]
+    );
+    assert.deepEqual(
+      messagesOf(
+        checkPasswordPolicy("mary2024pass", { email: "Mary2024@example.com" })
+      ),
+      [message]
+    );
+  });
+
+  it("ignores short usernames", () => {
+    assert.deepEqual(checkPasswordPolicy("abcdefgh1", { username: "ab" }), []);
+  });
+
+  it("reports errors under the given field", () => {
+    const [error] = checkPasswordPolicy("short1", { field: "newPassword" });
+    assert.equal(error.field, "newPassword");
+  });
+
+  it("leaves non-string values to the required field checks", () => {
+    assert.deepEqual(checkPasswordPolicy(undefined), []);
+  });
+});
@@ -0,0 +1,135 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Session from "../api/models/session.models.js";
+import { onSessionsRevoked, rotateSession } from "../api/utils/sessions.js";
+
+process.env.JWT_SECRET = "test-secret";
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const newToken = (sessionId) =>
+  `${sessionId}.${crypto.randomBytes(32).toString("base64url")}`;
+
+const fakeResponse = () => ({ cookie: mock.fn() });
+
+const fakeRequest = () => ({
+  headers: { "user-agent": "node-test" },
+  ip: "127.0.0.1",
+});
+
+// Session.findById(id).select(...) resolving to `session`
+const stubFindById = (session) =>
+  mock.method(Session, "findById", () => ({ select: async () => session }));
+
+const revokedIds = [];
+onSessionsRevoked((sessionIds) => revokedIds.push(...sessionIds));
+
+describe("rotateSession", () => {
+  let sessionId;
+  let session;
+
+  beforeEach(() => {
+    sessionId = new mongoose.Types.ObjectId();
+    session = new Session({
+      _id: sessionId,
+      user: "user-1",
+      tokenHash: "current",
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    });
+    mock.method(session, "save", async () => session);
+    revokedIds.length = 0;
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("rejects a malformed token without a lookup", async () => {
+    const findOneAndUpdate = mock.method(Session, "findOneAndUpdate");
+    await assert.rejects(
+      rotateSession(fakeRequest(), fakeResponse(), "garbage"),
+      { statusCode: 401 }
+    );
+    assert.equal(findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  it("swaps the current token for a new one", async () => {
+    const token = newToken(sessionId);
+    const findOneAndUpdate = mock.method(
+      Session,
+      "findOneAndUpdate",
+      async () => session
+    );
+    const res = fakeResponse();
+
+    assert.equal(await rotateSession(fakeRequest(), res, token), session);
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.equal(filter._id, String(sessionId));
+    assert.equal(filter.tokenHash, hashToken(token));
+    assert.equal(filter.revokedAt, null);
+    assert.notEqual(update.$set.tokenHash, hashToken(token));
+    assert.deepEqual(update.$push.previousTokenHashes.$each, [
+      hashToken(token),
+    ]);
+
+    const cookies = Object.fromEntries(
+      res.cookie.mock.calls.map(({ arguments: [name, value] }) => [name, value])
+    );
+    assert.ok(cookies.access_token);
+    assert.equal(hashToken(cookies.refresh_token), update.$set.tokenHash);
+  });
+
+  it("answers 409 to a token rotated away by a concurrent refresh", async () => {
+    const token = newToken(sessionId);
+    session.previousTokenHashes = [hashToken(token)];
+    session.lastUsedAt = new Date();
+    mock.method(Session, "findOneAndUpdate", async () => null);
+    stubFindById(session);
+
+    await assert.rejects(rotateSession(fakeRequest(), fakeResponse(), token), {
+      statusCode: 409,
+    });
+    assert.equal(session.revokedAt, undefined);
+    assert.deepEqual(revokedIds, []);
+  });
+
+  it("revokes the session when an old token is used again", async () => {
+    const token = newToken(sessionId);
+    session.previousTokenHashes = [hashToken(token), "newer"];
+    session.lastUsedAt = new Date();
+    mock.method(Session, "findOneAndUpdate", async () => null);
+    stubFindById(session);
+
+    await assert.rejects(rotateSession(fakeRequest(), fakeResponse(), token), {
+      statusCode: 401,
+    });
+    assert.equal(session.revokedReason, "reuse_detected");
+    assert.deepEqual(revokedIds, [String(sessionId)]);
+  });
+
+  it("revokes the session when the last token comes back too late", async () => {
+    const token = newToken(sessionId);
+    session.previousTokenHashes = [hashToken(token)];
+    session.lastUsedAt = new Date(Date.now() - 60 * 1000);
+    mock.method(Session, "findOneAndUpdate", async () => null);
+    stubFindById(session);
+
+    await assert.rejects(rotateSession(fakeRequest(), fakeResponse(), token), {
+      statusCode: 401,
+    });
+    assert.equal(session.revokedReason, "reuse_detected");
+  });
+
+  it("rejects a token the session never had", async () => {
+    mock.method(Session, "findOneAndUpdate", async () => null);
+    stubFindById(session);
+
+    await assert.rejects(
+      rotateSession(fakeRequest(), fakeResponse(), newToken(sessionId)),
+      { statusCode: 401, message: "Invalid refresh token" }
+    );
+    assert.equal(session.revokedAt, undefined);
+  });
+});
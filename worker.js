@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+import "dotenv/config";
+import { startWorker } from "./api/jobs/index.js";
+
+// Standalone job worker, run it next to the API started with
+// JOB_WORKER=standalone (or as extra workers beside the in-process one).
+// Jobs that push over socket.io are left to the API process.
+main().catch((err) => {
+  console.log(err);
+  process.exit(1);
+});
+async function main() {
+  await mongoose.connect(process.env.MONGO);
+  console.log("Database connected");
+
+  const worker = startWorker();
+  const shutdown = async () => {
+    worker.stop();
+    await mongoose.disconnect();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}